@@ -0,0 +1,14 @@
+// Invoice numbering and the seller details printed on invoices
+module.exports = {
+  // Numbers look like INV/2026-27/00001 and restart every financial year
+  prefix: process.env.INVOICE_PREFIX || 'INV',
+
+  // Month (1-12) the financial year starts in; April in India
+  financialYearStartMonth: 4,
+
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || 'E-Commerce Store',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin: process.env.INVOICE_SELLER_GSTIN || null
+  }
+};
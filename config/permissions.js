@@ -0,0 +1,31 @@
+// What each role may do. Routes check permissions rather than roles, so a
+// capability can move between roles here without touching the routes.
+//
+// `*:own` permissions only apply to resources the user owns (checked by
+// requireOwnership); `*:any` permissions apply to every resource.
+const SELLER = [
+  'products:create',
+  'products:update:own',
+  'orders:fulfil:own',
+  'seller:dashboard'
+];
+
+const ADMIN = [
+  'products:create',
+  'products:update:own',
+  'products:update:any',
+  'categories:manage',
+  'coupons:manage',
+  'orders:manage:any',
+  'reviews:moderate',
+  'seller:dashboard:any',
+  'users:manage',
+  'sellers:approve',
+  'payments:refund'
+];
+
+module.exports = {
+  CUSTOMER: [],
+  SELLER,
+  ADMIN
+};
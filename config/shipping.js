@@ -0,0 +1,26 @@
+// Shipping fee rules. Amounts are in the store currency, weights in kg.
+// Zones are matched on the leading digits of the destination pincode; the
+// first zone with a matching prefix wins, otherwise `defaultZone` applies.
+module.exports = {
+  // Orders at or above this amount (after discounts) ship free; null disables
+  freeShippingThreshold: process.env.FREE_SHIPPING_THRESHOLD !== undefined
+    ? parseFloat(process.env.FREE_SHIPPING_THRESHOLD)
+    : 999,
+
+  zones: [
+    { name: 'LOCAL', pincodePrefixes: ['560'], baseFee: 30 },
+    { name: 'METRO', pincodePrefixes: ['110', '400', '600', '700', '500'], baseFee: 50 },
+    { name: 'NORTH_EAST', pincodePrefixes: ['78', '79'], baseFee: 120 }
+  ],
+
+  defaultZone: { name: 'NATIONAL', baseFee: 80 },
+
+  // Charged for every item after the first
+  perAdditionalItemFee: 10,
+
+  // Weight included in the base fee, and the charge per started kg above it.
+  // Products without a weight count as `defaultItemWeight`.
+  includedWeight: 1,
+  perKgFee: 20,
+  defaultItemWeight: 0.5
+};
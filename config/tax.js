@@ -0,0 +1,25 @@
+// GST-style tax rules. Rates are percentages of the taxable value.
+//
+// A product is taxed at the rate for its category's slug, falling back to
+// `defaultRate`. A rate may be a number or a list of slabs by unit price
+// (checked in order, the first with `upTo` at or above the price wins; leave
+// `upTo` off the last one). Orders shipped within `storeState` pay CGST and
+// SGST at half the rate each; orders to other states pay IGST at the full rate.
+module.exports = {
+  // Catalogue prices already include tax (as MRPs do); set
+  // PRICES_INCLUDE_TAX=false to add tax on top at checkout instead
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX !== 'false',
+
+  defaultRate: process.env.TAX_RATE !== undefined
+    ? parseFloat(process.env.TAX_RATE)
+    : 18,
+
+  categoryRates: {
+    clothing: [{ upTo: 1000, rate: 5 }, { rate: 12 }],
+    footwear: [{ upTo: 1000, rate: 5 }, { rate: 18 }],
+    accessories: 18
+  },
+
+  // State the goods ship from
+  storeState: process.env.STORE_STATE || 'Karnataka'
+};
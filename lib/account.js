@@ -0,0 +1,136 @@
+// Personal data export and account deletion
+const crypto = require('crypto');
+const { releaseUserHolds } = require('./inventory');
+
+// Orders in these statuses still need the customer's contact details
+const OPEN_ORDER_STATUSES = ['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'RETURN_REQUESTED'];
+
+const productSummary = {
+  select: { id: true, name: true, brand: true }
+};
+
+// Everything stored about a user, for a data export download
+const exportUserData = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      emailVerifiedAt: true,
+      name: true,
+      role: true,
+      phone: true,
+      address: true,
+      city: true,
+      state: true,
+      pincode: true,
+      createdAt: true,
+      updatedAt: true,
+      addresses: true,
+      orders: {
+        include: {
+          orderItems: {
+            include: { product: productSummary }
+          },
+          statusHistory: {
+            select: { status: true, note: true, createdAt: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      },
+      reviews: {
+        include: { product: productSummary }
+      },
+      cart: {
+        include: { product: productSummary }
+      },
+      wishlist: {
+        include: { product: productSummary }
+      },
+      couponRedemptions: {
+        select: { orderId: true, amount: true, createdAt: true, coupon: { select: { code: true } } }
+      },
+      sellerApplications: true,
+      notifications: {
+        select: { type: true, title: true, message: true, readAt: true, createdAt: true }
+      }
+    }
+  });
+
+  if (!user) return null;
+
+  return {
+    exportedAt: new Date(),
+    ...user
+  };
+};
+
+// Scrub a user's personal data while keeping the rows orders, reviews and
+// reports point at. Returns false if the user still has orders in progress.
+const deleteAccount = async (prisma, userId) => {
+  const openOrders = await prisma.order.count({
+    where: { userId, status: { in: OPEN_ORDER_STATUSES } }
+  });
+
+  if (openOrders > 0) return false;
+
+  await prisma.$transaction(async (prisma) => {
+    // Stock held for an unfinished checkout goes back on sale
+    await releaseUserHolds(prisma, userId, 'Account deleted');
+    await prisma.cartItem.deleteMany({ where: { userId } });
+    await prisma.wishlistItem.deleteMany({ where: { userId } });
+    await prisma.notification.deleteMany({ where: { userId } });
+    await prisma.address.deleteMany({ where: { userId } });
+    await prisma.userToken.deleteMany({ where: { userId } });
+    await prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    // Keep the region of past orders for tax and sales reporting
+    await prisma.order.updateMany({
+      where: { userId },
+      data: { shippingName: null, shippingAddress: null, phone: null }
+    });
+    // Keep the outcome of seller applications, not who applied
+    await prisma.sellerApplication.updateMany({
+      where: { userId },
+      data: {
+        businessName: 'Deleted account',
+        gstin: null,
+        phone: '',
+        address: '',
+        description: null
+      }
+    });
+    // A seller's listings can't be bought once the seller is gone
+    await prisma.product.updateMany({
+      where: { sellerId: userId },
+      data: { isActive: false }
+    });
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        email: `deleted-${userId}@deleted.invalid`,
+        emailVerifiedAt: null,
+        name: null,
+        // Not a bcrypt hash, so no password can ever match it
+        password: crypto.randomBytes(32).toString('hex'),
+        phone: null,
+        address: null,
+        city: null,
+        state: null,
+        pincode: null,
+        emailNotifications: false,
+        deletedAt: new Date(),
+        tokenVersion: { increment: 1 }
+      }
+    });
+  });
+
+  return true;
+};
+
+module.exports = {
+  exportUserData,
+  deleteAccount
+};
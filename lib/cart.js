@@ -0,0 +1,143 @@
+// Loading a cart with each line's variant and effective price resolved, and
+// checking and pricing it for display and checkout
+const { matchVariant, listPrice, unitPrice, availableStock } = require('./variants');
+const { calculateShipping } = require('./shipping');
+const { calculateTax } = require('./tax');
+
+// Cart lines as { item, product, variant, quantity, price, listPrice, error }.
+// `error` is set when the line's size/color no longer matches a variant.
+// `owner` is { userId } for a signed-in user or { guestCartId } for a guest.
+const loadCartLines = async (prisma, owner) => {
+  const cartItems = await prisma.cartItem.findMany({
+    where: owner,
+    include: {
+      product: {
+        include: {
+          category: true,
+          variants: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return cartItems.map(({ product: { variants, ...product }, ...item }) => {
+    const { variant, error } = matchVariant(variants, item.size, item.color);
+
+    return {
+      item,
+      product,
+      variant: variant || null,
+      quantity: item.quantity,
+      price: unitPrice(product, variant),
+      listPrice: listPrice(product, variant),
+      error
+    };
+  });
+};
+
+const subtotalOf = (lines) => {
+  return lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+};
+
+const holdKey = (productId, variantId) => `${productId}|${variantId || ''}`;
+
+// Quantities held by a signed-in shopper's own unexpired checkout holds,
+// keyed by product and variant. Held stock is already taken out of product
+// stock but is still theirs to buy. Guests can't check out, so hold nothing.
+const heldQuantities = async (prisma, userId) => {
+  if (!userId) return new Map();
+
+  const holds = await prisma.stockHold.findMany({
+    where: { userId, expiresAt: { gt: new Date() } }
+  });
+
+  const held = new Map();
+  for (const hold of holds) {
+    const key = holdKey(hold.productId, hold.variantId);
+    held.set(key, (held.get(key) || 0) + hold.quantity);
+  }
+  return held;
+};
+
+// How many of a product/variant the shopper can have in their cart: what is
+// in stock plus what their own holds already set aside
+const availableToOwner = (product, variant, held) => {
+  const own = held.get(holdKey(product.id, variant && variant.id)) || 0;
+  return Math.max(availableStock(product, variant) + own, 0);
+};
+
+// Check lines against current stock, plus the owner's own holds, and prices,
+// without changing the cart. Lines that can't be bought stay in the cart for
+// the shopper to deal with but are left out of `purchasable`, and a line with
+// more than is available is priced at what is available. Each line gains
+// `available` and `warnings` ({ code, message, ... }). A price change is
+// reported until the shopper accepts it or changes the line.
+const reviewCartLines = async (prisma, lines) => {
+  const purchasable = [];
+  const userId = lines.length > 0 ? lines[0].item.userId : null;
+  const held = await heldQuantities(prisma, userId);
+
+  for (const line of lines) {
+    const { item, product, variant } = line;
+    const warn = (code, message, extra) => line.warnings.push({ code, message, ...extra });
+
+    line.warnings = [];
+    line.available = line.error ? 0 : availableToOwner(product, variant, held);
+
+    if (!product.isActive) {
+      warn('PRODUCT_INACTIVE', `${product.name} is no longer available`);
+    } else if (line.error) {
+      warn('OPTION_UNAVAILABLE', line.error);
+    } else if (line.available === 0) {
+      warn('OUT_OF_STOCK', `${product.name} is out of stock`);
+    } else {
+      if (line.quantity > line.available) {
+        warn('QUANTITY_LIMITED', `Only ${line.available} of ${product.name} left`, {
+          requestedQuantity: line.quantity
+        });
+        line.quantity = line.available;
+      }
+
+      purchasable.push(line);
+    }
+
+    if (item.addedPrice !== null && item.addedPrice !== undefined) {
+      const previous = parseFloat(item.addedPrice);
+      if (Math.abs(previous - line.price) >= 0.01) {
+        warn('PRICE_CHANGED', `The price of ${product.name} has changed`, {
+          previousPrice: previous.toFixed(2),
+          price: line.price.toFixed(2)
+        });
+      }
+    }
+  }
+
+  return { lines, purchasable };
+};
+
+// Totals for priced lines. Shipping is left out (null) until there is a
+// pincode to ship to, and tax can only be split by type once the state is
+// known; tax is only added when prices don't already include it.
+const priceCart = ({ lines, discount = 0, pincode, state }) => {
+  const subtotal = subtotalOf(lines);
+  const shipping = pincode
+    ? calculateShipping({ pincode, lines, orderValue: subtotal - discount })
+    : null;
+  const tax = calculateTax({ lines, discount, state });
+
+  const total = subtotal - discount +
+    (shipping ? shipping.fee : 0) +
+    (tax.included ? 0 : tax.amount);
+
+  return { subtotal, discount, shipping, tax, total };
+};
+
+module.exports = {
+  loadCartLines,
+  subtotalOf,
+  heldQuantities,
+  availableToOwner,
+  reviewCartLines,
+  priceCart
+};
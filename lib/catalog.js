@@ -0,0 +1,467 @@
+// Bulk catalog import and export, keyed by the seller's SKU
+//
+// A catalog is a list of products, each with optional size/color variants.
+// JSON nests variants under their product. CSV has one row per variant and
+// repeats the product's SKU on each; the product's own fields come from its
+// first row. Exports use the same shapes, so a catalog can be exported,
+// edited and imported back.
+//
+// Exports also carry the product id. A row with an id updates that product
+// (and sets its SKU when one is given), so products created without a SKU
+// survive the round trip.
+//
+// Blank or missing fields are left as they are on existing products.
+// Variants not listed are kept, as past orders refer to them.
+const { parseCsv, toCsv } = require('./csv');
+const { recordMovement } = require('./inventory');
+const { syncProductStock } = require('./variants');
+
+// Most products a single import may contain
+const IMPORT_LIMIT = 1000;
+
+// Largest import body, JSON or CSV
+const IMPORT_BODY_LIMIT = '5mb';
+
+const GENDERS = ['MEN', 'WOMEN', 'KIDS', 'UNISEX'];
+
+// Thrown when the upload as a whole can't be read; the message is safe to show
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Field parsers return undefined for values they reject
+const text = (value) => (typeof value === 'object' ? undefined : String(value).trim());
+const number = (check) => (value) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(parsed) && check(parsed) ? parsed : undefined;
+};
+const list = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean).join(',') || undefined;
+};
+const boolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) return true;
+  if (['false', '0', 'no'].includes(normalized)) return false;
+  return undefined;
+};
+
+// [parser, message when the parser rejects a value]
+const PRODUCT_FIELDS = {
+  id: [text, 'must be text'],
+  sku: [text, 'must be text'],
+  name: [text, 'must be text'],
+  description: [text, 'must be text'],
+  category: [text, 'must be a category slug'],
+  brand: [text, 'must be text'],
+  gender: [(value) => GENDERS.find(gender => gender === String(value).trim().toUpperCase()), `must be one of ${GENDERS.join(', ')}`],
+  price: [number(n => n > 0), 'must be a number greater than 0'],
+  discountPrice: [number(n => n > 0), 'must be a number greater than 0'],
+  color: [text, 'must be text'],
+  size: [list, 'must be a list of sizes'],
+  material: [text, 'must be text'],
+  tags: [list, 'must be a list of tags'],
+  weight: [number(n => n >= 0), 'must be a non-negative number'],
+  isActive: [boolean, 'must be true or false'],
+  isFeatured: [boolean, 'must be true or false'],
+  imageUrl: [text, 'must be text'],
+  stock: [number(n => Number.isInteger(n) && n >= 0), 'must be a non-negative whole number']
+};
+
+const VARIANT_FIELDS = {
+  size: [text, 'must be text'],
+  color: [text, 'must be text'],
+  stock: [number(n => Number.isInteger(n) && n >= 0), 'must be a non-negative whole number'],
+  priceAdjustment: [number(() => true), 'must be a number']
+};
+
+// CSV column for each variant field
+const VARIANT_COLUMNS = {
+  size: 'variantSize',
+  color: 'variantColor',
+  stock: 'variantStock',
+  priceAdjustment: 'variantPriceAdjustment'
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Parse the fields present in `input`, adding a message to `errors` for each
+// one that is invalid
+const readFields = (input, fields, errors, label = (field) => field) => {
+  const values = {};
+  for (const [field, [parse, message]] of Object.entries(fields)) {
+    if (isBlank(input[field])) continue;
+
+    const value = parse(input[field]);
+    if (value === undefined) {
+      errors.push(`${label(field)} ${message}`);
+    } else {
+      values[field] = value;
+    }
+  }
+  return values;
+};
+
+// Collects errors by row for the import report
+const createReport = () => {
+  const rows = new Map();
+  return {
+    add(row, sku, message) {
+      if (!rows.has(row)) rows.set(row, { row, sku: sku || null, errors: [] });
+      rows.get(row).errors.push(message);
+    },
+    get errors() {
+      return [...rows.values()].sort((a, b) => a.row - b.row);
+    }
+  };
+};
+
+const SKU_REQUIRED = 'sku is required, or id to update an existing product';
+
+const checkSize = (rows, products) => {
+  if (rows === 0) throw new ImportError('No products to import');
+  if (products > IMPORT_LIMIT) throw new ImportError(`An import may contain at most ${IMPORT_LIMIT} products`);
+};
+
+// Entries from a JSON body: a list of products, or { products: [...] }.
+// Rows are numbered from 1 in the order given.
+const readJsonCatalog = (body) => {
+  const items = Array.isArray(body) ? body : body && body.products;
+  if (!Array.isArray(items)) {
+    throw new ImportError('Expected a list of products');
+  }
+  checkSize(items.length, items.length);
+
+  const report = createReport();
+  const entries = items.map((item, index) => {
+    const row = index + 1;
+    const errors = [];
+
+    if (!item || typeof item !== 'object') {
+      report.add(row, null, 'Product must be an object');
+      return null;
+    }
+
+    const fields = readFields(item, PRODUCT_FIELDS, errors);
+    const variants = [];
+
+    if (item.variants !== undefined && !Array.isArray(item.variants)) {
+      errors.push('variants must be a list');
+    } else {
+      (item.variants || []).forEach((variant, position) => {
+        variants.push({
+          row,
+          ...readFields(variant || {}, VARIANT_FIELDS, errors, (field) => `variants[${position}].${field}`)
+        });
+      });
+    }
+
+    errors.forEach(message => report.add(row, fields.sku, message));
+    return { row, sku: fields.sku, id: fields.id, fields, variants };
+  }).filter(Boolean);
+
+  return { entries, errors: report.errors };
+};
+
+// Entries from CSV text, grouping rows by product id, or SKU for rows
+// without one. Rows are numbered by the line they start on.
+const readCsvCatalog = (csv) => {
+  const records = parseCsv(csv);
+  const report = createReport();
+  const byKey = new Map();
+
+  for (const { line, values } of records) {
+    const errors = [];
+    const fields = readFields(values, PRODUCT_FIELDS, errors);
+
+    const variantInput = Object.fromEntries(
+      Object.entries(VARIANT_COLUMNS).map(([field, column]) => [field, values[column]])
+    );
+    const variant = readFields(variantInput, VARIANT_FIELDS, errors, (field) => VARIANT_COLUMNS[field]);
+
+    errors.forEach(message => report.add(line, fields.sku, message));
+
+    if (!fields.sku && !fields.id) {
+      report.add(line, null, SKU_REQUIRED);
+      continue;
+    }
+
+    const key = fields.id ? `id:${fields.id}` : `sku:${fields.sku}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { row: line, sku: fields.sku, id: fields.id, fields, variants: [] });
+    }
+    if (Object.keys(variant).length) {
+      byKey.get(key).variants.push({ row: line, ...variant });
+    }
+  }
+
+  checkSize(records.length, byKey.size);
+
+  return { entries: [...byKey.values()], errors: report.errors };
+};
+
+// Check entries against each other and the database. Returns the entries
+// with the category and existing product each one resolves to, and every
+// problem found; nothing is written.
+const planImport = async (prisma, { entries, errors: readErrors }, sellerId) => {
+  const report = createReport();
+  readErrors.forEach(({ row, sku, errors }) => errors.forEach(message => report.add(row, sku, message)));
+
+  const skus = entries.map(entry => entry.sku).filter(Boolean);
+  const ids = entries.map(entry => entry.id).filter(Boolean);
+
+  const [categories, existing] = await Promise.all([
+    prisma.category.findMany({ select: { id: true, slug: true } }),
+    prisma.product.findMany({
+      where: {
+        sellerId,
+        OR: [{ sku: { in: skus } }, { id: { in: ids } }]
+      },
+      include: { variants: true }
+    })
+  ]);
+
+  const categoryBySlug = new Map(categories.map(category => [category.slug, category.id]));
+  const productById = new Map(existing.map(product => [product.id, product]));
+  const productBySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]));
+  const seenSkus = new Set();
+  const seenIds = new Set();
+
+  const planned = entries.map(entry => {
+    const { row, sku, id, fields, variants } = entry;
+    const fail = (message) => report.add(row, sku, message);
+
+    if (!sku && !id) {
+      fail(SKU_REQUIRED);
+      return null;
+    }
+
+    const product = (id ? productById.get(id) : productBySku.get(sku)) || null;
+    if (id && !product) {
+      fail(`Product ${id} not found`);
+      return null;
+    }
+
+    if (sku && seenSkus.has(sku)) {
+      fail(`sku ${sku} appears more than once`);
+      return null;
+    }
+    if (product && seenIds.has(product.id)) {
+      fail(`Product ${product.id} appears more than once`);
+      return null;
+    }
+    if (sku) seenSkus.add(sku);
+    if (product) seenIds.add(product.id);
+
+    const owner = sku && productBySku.get(sku);
+    if (owner && product && owner.id !== product.id) {
+      fail(`sku ${sku} belongs to another product`);
+    }
+
+    if (!product) {
+      ['name', 'price', 'category']
+        .filter(field => fields[field] === undefined)
+        .forEach(field => fail(`${field} is required for a new product`));
+    }
+
+    const categoryId = fields.category !== undefined ? categoryBySlug.get(fields.category) : undefined;
+    if (fields.category !== undefined && !categoryId) {
+      fail(`Category ${fields.category} not found`);
+    }
+
+    const price = fields.price !== undefined ? fields.price : product && parseFloat(product.price);
+    if (fields.discountPrice !== undefined && price && fields.discountPrice >= price) {
+      fail('discountPrice must be lower than price');
+    }
+
+    const hasVariants = variants.length > 0 || (product && product.variants.length > 0);
+    if (fields.stock !== undefined && hasVariants) {
+      fail('Stock for this product is managed per variant; set variant stock instead');
+    }
+
+    const combinations = new Set();
+    for (const variant of variants) {
+      if (!variant.size || !variant.color) {
+        report.add(variant.row, sku, 'Variants need both a size and a color');
+        continue;
+      }
+      const key = `${variant.size}|${variant.color}`;
+      if (combinations.has(key)) {
+        report.add(variant.row, sku, `Variant ${variant.size} / ${variant.color} appears more than once`);
+      }
+      combinations.add(key);
+    }
+
+    return { ...entry, categoryId, product, action: product ? 'update' : 'create' };
+  }).filter(Boolean);
+
+  return { entries: planned, errors: report.errors };
+};
+
+// Columns shared by create and update, leaving out fields not given
+const productData = (fields, categoryId) => ({
+  ...(fields.name !== undefined && { name: fields.name }),
+  ...(fields.description !== undefined && { description: fields.description }),
+  ...(categoryId !== undefined && { categoryId }),
+  ...(fields.brand !== undefined && { brand: fields.brand }),
+  ...(fields.gender !== undefined && { gender: fields.gender }),
+  ...(fields.price !== undefined && { price: fields.price }),
+  ...(fields.discountPrice !== undefined && { discountPrice: fields.discountPrice }),
+  ...(fields.color !== undefined && { color: fields.color }),
+  ...(fields.size !== undefined && { size: fields.size }),
+  ...(fields.material !== undefined && { material: fields.material }),
+  ...(fields.tags !== undefined && { tags: fields.tags }),
+  ...(fields.weight !== undefined && { weight: fields.weight }),
+  ...(fields.isActive !== undefined && { isActive: fields.isActive }),
+  ...(fields.isFeatured !== undefined && { isFeatured: fields.isFeatured }),
+  ...(fields.imageUrl !== undefined && { imageUrl: fields.imageUrl }),
+  ...(fields.stock !== undefined && { stock: fields.stock })
+});
+
+const IMPORT_REASON = 'Catalog import';
+
+// Write planned entries in one transaction, recording stock changes in the
+// inventory ledger. Returns what happened to each product.
+const applyImport = (prisma, entries, { sellerId, actorId }) => {
+  return prisma.$transaction(async (prisma) => {
+    const results = [];
+
+    for (const { row, sku, fields, variants, categoryId, product: existing, action } of entries) {
+      const data = productData(fields, categoryId);
+
+      const product = existing
+        ? await prisma.product.update({ where: { id: existing.id }, data: { ...data, ...(sku && { sku }) } })
+        : await prisma.product.create({ data: { ...data, sku, sellerId } });
+
+      const stockChange = product.stock - (existing ? existing.stock : 0);
+      if (fields.stock !== undefined && stockChange !== 0) {
+        await recordMovement(prisma, {
+          productId: product.id,
+          quantity: stockChange,
+          type: 'ADJUSTMENT',
+          reason: IMPORT_REASON,
+          actorId
+        });
+      }
+
+      const variantByKey = new Map(
+        (existing ? existing.variants : []).map(variant => [`${variant.size}|${variant.color}`, variant])
+      );
+
+      for (const { size, color, stock, priceAdjustment } of variants) {
+        const current = variantByKey.get(`${size}|${color}`);
+
+        const variant = current
+          ? await prisma.productVariant.update({
+            where: { id: current.id },
+            data: {
+              ...(stock !== undefined && { stock }),
+              ...(priceAdjustment !== undefined && { priceAdjustment })
+            }
+          })
+          : await prisma.productVariant.create({
+            data: {
+              productId: product.id,
+              size,
+              color,
+              stock: stock || 0,
+              priceAdjustment: priceAdjustment || 0
+            }
+          });
+
+        const change = variant.stock - (current ? current.stock : 0);
+        if (change !== 0) {
+          await recordMovement(prisma, {
+            productId: product.id,
+            variantId: variant.id,
+            quantity: change,
+            type: 'ADJUSTMENT',
+            reason: IMPORT_REASON,
+            actorId
+          });
+        }
+      }
+
+      if (variants.length) {
+        await syncProductStock(prisma, product.id);
+      }
+
+      results.push({ row, sku, action, productId: product.id, variants: variants.length });
+    }
+
+    return results;
+  }, {
+    // Large catalogs take longer than the default interactive transaction timeout
+    timeout: 60 * 1000
+  });
+};
+
+// Products matching `where` as catalog entries, for export
+const exportCatalog = async (prisma, where) => {
+  const products = await prisma.product.findMany({
+    where,
+    include: {
+      category: { select: { slug: true } },
+      variants: {
+        orderBy: [{ size: 'asc' }, { color: 'asc' }]
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const decimal = (value) => (value === null ? null : parseFloat(value));
+
+  return products.map(product => ({
+    id: product.id,
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    category: product.category.slug,
+    brand: product.brand,
+    gender: product.gender,
+    price: decimal(product.price),
+    discountPrice: decimal(product.discountPrice),
+    color: product.color,
+    size: product.size,
+    material: product.material,
+    tags: product.tags,
+    weight: product.weight,
+    isActive: product.isActive,
+    isFeatured: product.isFeatured,
+    imageUrl: product.imageUrl,
+    // Stock of products with variants is the total of their variants
+    stock: product.variants.length ? null : product.stock,
+    variants: product.variants.map(variant => ({
+      size: variant.size,
+      color: variant.color,
+      stock: variant.stock,
+      priceAdjustment: decimal(variant.priceAdjustment)
+    }))
+  }));
+};
+
+// Catalog entries as CSV, one row per variant
+const catalogToCsv = (catalog) => {
+  const rows = catalog.flatMap(product => (product.variants.length
+    ? product.variants.map(variant => ({ product, variant }))
+    : [{ product, variant: {} }]));
+
+  return toCsv([
+    ...Object.keys(PRODUCT_FIELDS).map(field => [field, ({ product }) => product[field]]),
+    ...Object.entries(VARIANT_COLUMNS).map(([field, column]) => [column, ({ variant }) => variant[field]])
+  ], rows);
+};
+
+module.exports = {
+  IMPORT_BODY_LIMIT,
+  ImportError,
+  readJsonCatalog,
+  readCsvCatalog,
+  planImport,
+  applyImport,
+  exportCatalog,
+  catalogToCsv
+};
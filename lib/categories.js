@@ -0,0 +1,126 @@
+// Helpers for walking the category hierarchy
+//
+// Categories form a tree through parentId with no depth limit. There are few
+// enough of them that each helper loads the whole table in one query and
+// walks it in memory rather than recursing through the database.
+
+// Siblings are listed by their sort order, then alphabetically
+const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nest categories (each with a parentId) under their parents. Returns the
+// roots, each with a `children` array all the way down. With `counts` (from
+// activeProductCounts), each node's _count.products covers its whole subtree.
+const buildTree = (categories, counts = null) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const finish = (list) => {
+    list.sort(bySortOrder);
+    for (const node of list) {
+      finish(node.children);
+      if (counts) {
+        const products = node.children.reduce((sum, child) => sum + child._count.products, counts.get(node.id) || 0);
+        node._count = { products };
+      }
+    }
+    return list;
+  };
+
+  return finish(roots);
+};
+
+// The node for `categoryId` in a tree from buildTree, or null
+const findNode = (nodes, categoryId) => {
+  for (const node of nodes) {
+    if (node.id === categoryId) return node;
+    const found = findNode(node.children, categoryId);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Number of active products directly in each category, by category id
+const activeProductCounts = async (prisma) => {
+  const rows = await prisma.product.groupBy({
+    by: ['categoryId'],
+    where: { isActive: true },
+    _count: true
+  });
+  return new Map(rows.map(row => [row.categoryId, row._count]));
+};
+
+const loadParentIds = async (prisma) => {
+  const categories = await prisma.category.findMany({
+    select: { id: true, parentId: true }
+  });
+  return new Map(categories.map(category => [category.id, category.parentId]));
+};
+
+// Ids of every category below `categoryId`, at any depth
+const descendantIds = async (prisma, categoryId) => {
+  const parentIds = await loadParentIds(prisma);
+
+  const childrenOf = new Map();
+  for (const [id, parentId] of parentIds) {
+    if (!parentId) continue;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(id);
+  }
+
+  const ids = [];
+  const queue = [...(childrenOf.get(categoryId) || [])];
+  while (queue.length) {
+    const id = queue.shift();
+    ids.push(id);
+    queue.push(...(childrenOf.get(id) || []));
+  }
+  return ids;
+};
+
+// Whether making `parentId` the parent of `categoryId` would put the category
+// inside its own subtree
+const createsCycle = async (prisma, categoryId, parentId) => {
+  const parentIds = await loadParentIds(prisma);
+
+  // The seen set stops the walk if the table already holds a loop
+  const seen = new Set();
+  for (let id = parentId; id && !seen.has(id); id = parentIds.get(id)) {
+    if (id === categoryId) return true;
+    seen.add(id);
+  }
+  return false;
+};
+
+// The path from the root down to a category, inclusive, for breadcrumbs
+const breadcrumbs = async (prisma, category) => {
+  const categories = await prisma.category.findMany({
+    select: { id: true, name: true, slug: true, parentId: true }
+  });
+  const byId = new Map(categories.map(c => [c.id, c]));
+
+  const path = [];
+  const seen = new Set();
+  for (let current = byId.get(category.id); current && !seen.has(current.id); current = byId.get(current.parentId)) {
+    seen.add(current.id);
+    path.unshift({ id: current.id, name: current.name, slug: current.slug });
+  }
+  return path;
+};
+
+module.exports = {
+  buildTree,
+  findNode,
+  activeProductCounts,
+  descendantIds,
+  createsCycle,
+  breadcrumbs
+};
@@ -0,0 +1,156 @@
+// Coupon validation, discount calculation and redemption
+const { descendantIds } = require('./categories');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Thrown inside the checkout transaction when a coupon ran out of uses
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+// Ids of the categories a coupon's category scope covers: the category and
+// everything below it, as category listings do. Null for no category scope.
+const scopeCategoryIds = async (prisma, coupon) => {
+  if (!coupon.categoryId) return null;
+  return new Set([coupon.categoryId, ...await descendantIds(prisma, coupon.categoryId)]);
+};
+
+// Whether a line counts towards a coupon's category/brand scope
+const isEligible = (coupon, categoryIds, product) => {
+  if (categoryIds && !categoryIds.has(product.categoryId)) {
+    return false;
+  }
+  if (coupon.brand && (product.brand || '').toLowerCase() !== coupon.brand.toLowerCase()) {
+    return false;
+  }
+  return true;
+};
+
+// Check a coupon code against a user's priced lines ({ product, quantity, price })
+// and work out the discount it gives.
+// Returns { coupon, discount, eligibleSubtotal } or { error } with a client-facing message.
+const evaluateCoupon = async (prisma, code, userId, lines) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCode(code) }
+  });
+
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  if (coupon.perUserLimit !== null) {
+    const used = await prisma.couponRedemption.count({
+      where: { couponId: coupon.id, userId }
+    });
+    if (used >= coupon.perUserLimit) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (coupon.minOrderValue !== null && subtotal < parseFloat(coupon.minOrderValue)) {
+    return { error: `Minimum order value for this coupon is ${parseFloat(coupon.minOrderValue).toFixed(2)}` };
+  }
+
+  const categoryIds = await scopeCategoryIds(prisma, coupon);
+  const eligibleSubtotal = lines
+    .filter(line => isEligible(coupon, categoryIds, line.product))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (eligibleSubtotal === 0) {
+    return { error: 'This coupon does not apply to any items in your cart' };
+  }
+
+  let discount;
+  if (coupon.type === 'PERCENTAGE') {
+    discount = eligibleSubtotal * parseFloat(coupon.value) / 100;
+    if (coupon.maxDiscount !== null) {
+      discount = Math.min(discount, parseFloat(coupon.maxDiscount));
+    }
+  } else {
+    discount = parseFloat(coupon.value);
+  }
+  // Never more than the items the coupon applies to
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return {
+    coupon,
+    discount: round2(discount),
+    eligibleSubtotal: round2(eligibleSubtotal)
+  };
+};
+
+// Record a coupon use against an order. Must be called inside the checkout
+// transaction; the global limit is re-checked atomically here, and the
+// per-user limit is checked again once this use is written, so concurrent
+// checkouts by the same user can't both get through.
+const redeemCoupon = async (prisma, coupon, userId, orderId, amount) => {
+  const { count } = await prisma.coupon.updateMany({
+    where: {
+      id: coupon.id,
+      ...(coupon.usageLimit !== null && { usedCount: { lt: coupon.usageLimit } })
+    },
+    data: { usedCount: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  await prisma.couponRedemption.create({
+    data: {
+      couponId: coupon.id,
+      userId,
+      orderId,
+      amount
+    }
+  });
+
+  if (coupon.perUserLimit !== null) {
+    const used = await prisma.couponRedemption.count({
+      where: { couponId: coupon.id, userId }
+    });
+    if (used > coupon.perUserLimit) {
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+};
+
+// Give a cancelled order's coupon use back
+const releaseCoupon = async (prisma, orderId) => {
+  const redemption = await prisma.couponRedemption.findUnique({
+    where: { orderId }
+  });
+
+  if (!redemption) return;
+
+  await prisma.couponRedemption.delete({ where: { id: redemption.id } });
+  await prisma.coupon.update({
+    where: { id: redemption.couponId },
+    data: { usedCount: { decrement: 1 } }
+  });
+};
+
+module.exports = {
+  normalizeCode,
+  CouponError,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,109 @@
+// Minimal CSV reading and writing (RFC 4180) for imports and exports
+
+// Thrown for input that isn't valid CSV; the message is safe to show
+class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsvError';
+  }
+}
+
+// Values starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of [header, row => value]
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(([header]) => escapeCell(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, value]) => escapeCell(value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text whose first line is a header. Returns one { line, values }
+// per record, where `line` is the line the record starts on and `values` maps
+// header to cell. Throws CsvError for malformed input.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    // Undo the guard toCsv adds in front of formula-like values
+    record.push(/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError(`Unterminated quoted value starting on line ${recordLine}`);
+  }
+  if (cell !== '' || record.length) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    throw new CsvError('CSV is empty');
+  }
+
+  const headers = records[0].cells.map(header => header.trim());
+  return records.slice(1).map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(headers.map((header, index) => [header, cells[index] === undefined ? '' : cells[index]]))
+  }));
+};
+
+module.exports = {
+  CsvError,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,89 @@
+// Account and notification emails. Links point at the storefront (APP_URL),
+// which posts any token back to the API.
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name || 'there'},\n\n` +
+      `Use the link below to choose a new password. It expires in one hour.\n\n${link}\n\n` +
+      'If you did not ask for this, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p>` +
+      `<p>Use the link below to choose a new password. It expires in one hour.</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      '<p>If you did not ask for this, you can ignore this email.</p>'
+  });
+};
+
+const sendVerificationEmail = (user, token, email = user.email) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name || 'there'},\n\n` +
+      `Please confirm this is your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p>` +
+      '<p>Please confirm this is your email address. The link expires in 24 hours.</p>' +
+      `<p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+// Confirmation goes to the new address; the current one only gets a notice so
+// the owner hears about a change they didn't ask for
+const sendEmailChangeEmails = (user, token, newEmail) => {
+  const link = `${appUrl()}/confirm-email?token=${encodeURIComponent(token)}`;
+
+  return Promise.all([
+    sendMail({
+      to: newEmail,
+      subject: 'Confirm your new email address',
+      text: `Hi ${user.name || 'there'},\n\n` +
+        `Open the link below to start using this address for your account. It expires in 24 hours.\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.name || 'there')},</p>` +
+        '<p>Open the link below to start using this address for your account. It expires in 24 hours.</p>' +
+        `<p><a href="${link}">Confirm email</a></p>`
+    }),
+    sendMail({
+      to: user.email,
+      subject: 'Your email address is being changed',
+      text: `Hi ${user.name || 'there'},\n\n` +
+        `A request was made to change your account email to ${newEmail}. ` +
+        'If this was not you, change your password straight away.',
+      html: `<p>Hi ${escapeHtml(user.name || 'there')},</p>` +
+        `<p>A request was made to change your account email to ${escapeHtml(newEmail)}. ` +
+        'If this was not you, change your password straight away.</p>'
+    })
+  ]);
+};
+
+// Email copy of an in-app notification, linking to the product it is about
+const sendNotificationEmail = (user, notification) => {
+  const link = notification.productId
+    ? `${appUrl()}/products/${encodeURIComponent(notification.productId)}`
+    : `${appUrl()}/notifications`;
+
+  return sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `Hi ${user.name || 'there'},\n\n${notification.message}\n\n${link}\n\n` +
+      'You can turn these emails off in your account settings.',
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p>` +
+      `<p>${escapeHtml(notification.message)}</p>` +
+      `<p><a href="${link}">Take a look</a></p>` +
+      '<p>You can turn these emails off in your account settings.</p>'
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmails,
+  sendNotificationEmail
+};
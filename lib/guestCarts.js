@@ -0,0 +1,165 @@
+// Carts for shoppers who haven't signed in
+//
+// The client gets an opaque token when it first adds to a cart and sends it
+// back in the X-Cart-Token header. Only a hash is stored, as with refresh
+// tokens. Logging in or registering with the token merges the guest cart into
+// the user's cart.
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+const { matchVariant } = require('./variants');
+const { heldQuantities, availableToOwner } = require('./cart');
+
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const expiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Returns the raw token for the client along with the new cart
+const createGuestCart = async (prisma) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const cart = await prisma.guestCart.create({
+    data: {
+      tokenHash: hashToken(token),
+      expiresAt: expiry()
+    }
+  });
+
+  return { token, cart };
+};
+
+// The cart a token names, or null when it is unknown or has expired
+const findGuestCart = async (prisma, token) => {
+  if (!token) return null;
+
+  const cart = await prisma.guestCart.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+
+  if (!cart) return null;
+
+  if (cart.expiresAt <= new Date()) {
+    await prisma.guestCart.deleteMany({ where: { id: cart.id } });
+    return null;
+  }
+
+  return cart;
+};
+
+// Delete every expired guest cart; returns how many were deleted
+const purgeExpiredGuestCarts = async (prisma) => {
+  // Cart lines go with them (onDelete: Cascade)
+  const { count } = await prisma.guestCart.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+  return count;
+};
+
+// Periodically delete expired guest carts, which nobody can open any more
+const startGuestCartSweeper = (prisma, intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    purgeExpiredGuestCarts(prisma).catch(error => {
+      console.error('Failed to purge expired guest carts', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// Keep a cart that is still being used from expiring
+const touchGuestCart = (prisma, cart) => {
+  return prisma.guestCart.update({
+    where: { id: cart.id },
+    data: { expiresAt: expiry() }
+  });
+};
+
+// Move a guest cart's lines into a user's cart, then delete it. Lines for the
+// same product, size and color are combined, and quantities are capped at the
+// stock available to the user. Returns what was merged and every line that had to change.
+const mergeGuestCart = async (prisma, token, userId) => {
+  const cart = await findGuestCart(prisma, token);
+  if (!cart) return null;
+
+  const guestItems = await prisma.cartItem.findMany({
+    where: { guestCartId: cart.id },
+    include: {
+      product: {
+        include: { variants: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const summary = { merged: 0, adjustments: [] };
+  const held = await heldQuantities(prisma, userId);
+
+  await prisma.$transaction(async (prisma) => {
+    for (const { product, ...item } of guestItems) {
+      const adjustment = (reason, quantity) => summary.adjustments.push({
+        productId: product.id,
+        name: product.name,
+        size: item.size,
+        color: item.color,
+        requested: item.quantity,
+        quantity,
+        reason
+      });
+
+      const { variant, error } = matchVariant(product.variants, item.size, item.color);
+      const stock = error ? 0 : availableToOwner(product, variant, held);
+
+      if (!product.isActive || error || stock === 0) {
+        adjustment('UNAVAILABLE', 0);
+        continue;
+      }
+
+      // SQLite treats NULLs as distinct in unique indexes, so look it up with findFirst
+      const existing = await prisma.cartItem.findFirst({
+        where: { userId, productId: product.id, size: item.size, color: item.color }
+      });
+
+      const wanted = item.quantity + (existing ? existing.quantity : 0);
+      const quantity = Math.min(wanted, stock);
+
+      if (existing) {
+        await prisma.cartItem.update({
+          where: { id: existing.id },
+          data: { quantity }
+        });
+      } else {
+        await prisma.cartItem.create({
+          data: {
+            userId,
+            productId: product.id,
+            quantity,
+            size: item.size,
+            color: item.color,
+            addedPrice: item.addedPrice
+          }
+        });
+      }
+
+      summary.merged += 1;
+      if (quantity < wanted) {
+        adjustment('QUANTITY_REDUCED', quantity);
+      } else if (existing) {
+        adjustment('COMBINED', quantity);
+      }
+    }
+
+    // Cart lines go with it (onDelete: Cascade)
+    await prisma.guestCart.delete({ where: { id: cart.id } });
+  });
+
+  return summary;
+};
+
+module.exports = {
+  createGuestCart,
+  findGuestCart,
+  purgeExpiredGuestCarts,
+  startGuestCartSweeper,
+  touchGuestCart,
+  mergeGuestCart
+};
@@ -0,0 +1,10 @@
+// Helpers for HTML we build by hand (emails, invoices)
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,105 @@
+// Image upload handling: multipart parsing, validation, thumbnails and storage
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Content type and extension for each format sharp may detect
+const FORMATS = {
+  jpeg: { type: 'image/jpeg', extension: 'jpg' },
+  png: { type: 'image/png', extension: 'png' },
+  webp: { type: 'image/webp', extension: 'webp' }
+};
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024;
+const MAX_FILES = 10;
+const THUMBNAIL_SIZE = 320;
+
+class ImageUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageUploadError';
+  }
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new ImageUploadError('Only JPEG, PNG and WebP images are allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap a multer handler so bad uploads get a 400 instead of reaching the
+// generic error handler
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError || error instanceof ImageUploadError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+// Accept up to MAX_FILES images from a multipart field into req.files
+const acceptImages = (field) => handleUpload(upload.array(field, MAX_FILES));
+
+// Accept a single image from a multipart field into req.file
+const acceptImage = (field) => handleUpload(upload.single(field));
+
+const thumbnailKeyFor = (key) => key.replace(/\.[^./]+$/, '_thumb.webp');
+
+// Validate an uploaded file's actual content, store it with a thumbnail under
+// `folder` and return { key, url, thumbnailUrl }
+const storeImage = async (file, folder) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new ImageUploadError(`${file.originalname} is not a valid image`);
+  }
+
+  // Stored by what the content is, not what the client said it was
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    throw new ImageUploadError(`${file.originalname} is not a JPEG, PNG or WebP image`);
+  }
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const key = `${folder}/${crypto.randomBytes(12).toString('hex')}.${format.extension}`;
+  const url = await storage.save(key, file.buffer, format.type);
+  const thumbnailUrl = await storage.save(thumbnailKeyFor(key), thumbnail, 'image/webp');
+
+  return { key, url, thumbnailUrl };
+};
+
+// Remove a stored image and its thumbnail
+const removeImage = async (key) => {
+  await Promise.all([
+    storage.remove(key),
+    storage.remove(thumbnailKeyFor(key))
+  ]);
+};
+
+module.exports = {
+  ImageUploadError,
+  acceptImages,
+  acceptImage,
+  storeImage,
+  removeImage
+};
@@ -0,0 +1,227 @@
+// Stock movements and checkout holds
+//
+// Every change to product or variant stock goes through moveStock, which
+// applies it with a conditional update (so concurrent checkouts can't push
+// stock below zero) and records it in the inventory ledger. Holds take stock
+// out of circulation while a customer completes checkout and put it back when
+// they expire.
+
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES) || 15;
+
+// Thrown when one or more lines can't be fulfilled; `items` says which
+class InsufficientStockError extends Error {
+  constructor(items) {
+    super('Some items do not have enough stock');
+    this.name = 'InsufficientStockError';
+    this.items = items;
+  }
+}
+
+// Write a ledger entry for stock that was already changed some other way
+const recordMovement = (prisma, { productId, variantId, quantity, type, reason, orderId, actorId }) => {
+  return prisma.inventoryMovement.create({
+    data: {
+      productId,
+      variantId: variantId || null,
+      quantity,
+      type,
+      reason: reason || null,
+      orderId: orderId || null,
+      actorId: actorId || null
+    }
+  });
+};
+
+// Add (positive quantity) or remove (negative) stock and record it. A removal
+// only happens if enough stock is left; returns false when it isn't.
+// Variant stock rolls up into the product's stock.
+const moveStock = async (prisma, movement) => {
+  const { productId, variantId, quantity } = movement;
+
+  if (quantity === 0) return true;
+
+  const change = quantity > 0 ? { increment: quantity } : { decrement: -quantity };
+  const enough = quantity < 0 ? { stock: { gte: -quantity } } : {};
+
+  if (variantId) {
+    const { count } = await prisma.productVariant.updateMany({
+      where: { id: variantId, ...enough },
+      data: { stock: change }
+    });
+    if (count === 0) return false;
+
+    await prisma.product.update({
+      where: { id: productId },
+      data: { stock: change }
+    });
+  } else {
+    const { count } = await prisma.product.updateMany({
+      where: { id: productId, ...enough },
+      data: { stock: change }
+    });
+    if (count === 0) return false;
+  }
+
+  await recordMovement(prisma, movement);
+  return true;
+};
+
+// Describe a line that couldn't get its stock, for the error response
+const shortfall = async (prisma, { product, variant, quantity }) => {
+  const current = variant
+    ? await prisma.productVariant.findUnique({ where: { id: variant.id } })
+    : await prisma.product.findUnique({ where: { id: product.id } });
+
+  return {
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    name: product.name,
+    size: variant ? variant.size : null,
+    color: variant ? variant.color : null,
+    requested: quantity,
+    available: current ? Math.max(current.stock, 0) : 0
+  };
+};
+
+// Take stock for cart lines (see lib/cart.js). Tries every line so the error
+// lists all that failed; must run in a transaction so a failure rolls back
+// the lines that succeeded.
+const takeStock = async (prisma, lines, { type, reason, orderId, actorId }) => {
+  const failed = [];
+
+  for (const line of lines) {
+    const taken = await moveStock(prisma, {
+      productId: line.product.id,
+      variantId: line.variant ? line.variant.id : null,
+      quantity: -line.quantity,
+      type,
+      reason,
+      orderId,
+      actorId
+    });
+
+    if (!taken) {
+      failed.push(await shortfall(prisma, line));
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new InsufficientStockError(failed);
+  }
+};
+
+// Put a hold's stock back. Deleting first means a hold released twice at once
+// (expiry job and checkout) only returns its stock once.
+const releaseHold = async (prisma, hold, reason) => {
+  const { count } = await prisma.stockHold.deleteMany({ where: { id: hold.id } });
+  if (count === 0) return;
+
+  await moveStock(prisma, {
+    productId: hold.productId,
+    variantId: hold.variantId,
+    quantity: hold.quantity,
+    type: 'HOLD_RELEASE',
+    reason,
+    actorId: hold.userId
+  });
+};
+
+const releaseUserHolds = async (prisma, userId, reason) => {
+  const holds = await prisma.stockHold.findMany({ where: { userId } });
+
+  for (const hold of holds) {
+    await releaseHold(prisma, hold, reason);
+  }
+};
+
+// Hold stock for a user's cart lines, replacing any holds they already had.
+// Must run in a transaction. Throws InsufficientStockError.
+const holdStock = async (prisma, userId, lines) => {
+  await releaseUserHolds(prisma, userId, 'Checkout restarted');
+
+  await takeStock(prisma, lines, {
+    type: 'HOLD',
+    reason: 'Checkout started',
+    actorId: userId
+  });
+
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+  const holds = [];
+  for (const { product, variant, quantity } of lines) {
+    holds.push(await prisma.stockHold.create({
+      data: {
+        userId,
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        quantity,
+        expiresAt
+      }
+    }));
+  }
+
+  return { holds, expiresAt };
+};
+
+// Release every hold past its expiry; returns how many were released
+const releaseExpiredHolds = async (prisma) => {
+  const expired = await prisma.stockHold.findMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+
+  for (const hold of expired) {
+    await prisma.$transaction(async (prisma) => {
+      await releaseHold(prisma, hold, 'Hold expired');
+    });
+  }
+
+  return expired.length;
+};
+
+// Periodically release expired holds so abandoned checkouts don't keep stock
+const startHoldSweeper = (prisma, intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds(prisma).catch(error => {
+      console.error('Failed to release expired stock holds', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// Return an order's items to stock. `type` is CANCEL or RETURN.
+const restockOrder = async (prisma, orderId, type, actorId) => {
+  const items = await prisma.orderItem.findMany({ where: { orderId } });
+
+  for (const item of items) {
+    const variant = item.size && item.color
+      ? await prisma.productVariant.findFirst({
+        where: { productId: item.productId, size: item.size, color: item.color }
+      })
+      : null;
+
+    await moveStock(prisma, {
+      productId: item.productId,
+      variantId: variant ? variant.id : null,
+      quantity: item.quantity,
+      type,
+      reason: type === 'RETURN' ? 'Order returned' : 'Order cancelled',
+      orderId,
+      actorId
+    });
+  }
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  InsufficientStockError,
+  recordMovement,
+  moveStock,
+  takeStock,
+  holdStock,
+  releaseUserHolds,
+  releaseExpiredHolds,
+  startHoldSweeper,
+  restockOrder
+};
@@ -0,0 +1,287 @@
+// Tax invoices for orders, rendered as HTML or PDF
+const PDFDocument = require('pdfkit');
+const config = require('../config/invoice');
+const { storeState } = require('../config/tax');
+const { isIntraState } = require('./tax');
+const { escapeHtml } = require('./html');
+
+// Orders in these statuses have nothing to invoice yet, or never will
+const NOT_INVOICEABLE = ['PENDING', 'CANCELLED'];
+
+// Thrown inside the numbering transaction when another request numbered the
+// order first, so the sequence increment is rolled back and leaves no gap
+class AlreadyInvoicedError extends Error {}
+
+// Financial year a date falls in, e.g. "2026-27"
+const financialYear = (date) => {
+  const year = date.getMonth() + 1 >= config.financialYearStartMonth
+    ? date.getFullYear()
+    : date.getFullYear() - 1;
+  return `${year}-${String(year + 1).slice(-2)}`;
+};
+
+// Give an order the next invoice number if it doesn't have one. Returns the
+// order's invoice number, or null when the order can't be invoiced.
+const assignInvoiceNumber = async (prisma, order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+  if (NOT_INVOICEABLE.includes(order.status)) return null;
+
+  const now = new Date();
+  const year = financialYear(now);
+
+  try {
+    return await prisma.$transaction(async (prisma) => {
+      const sequence = await prisma.invoiceSequence.upsert({
+        where: { id: year },
+        create: { id: year, lastNumber: 1 },
+        update: { lastNumber: { increment: 1 } }
+      });
+
+      const invoiceNumber = `${config.prefix}/${year}/${String(sequence.lastNumber).padStart(5, '0')}`;
+
+      const { count } = await prisma.order.updateMany({
+        where: { id: order.id, invoiceNumber: null },
+        data: { invoiceNumber, invoicedAt: now }
+      });
+
+      if (count === 0) throw new AlreadyInvoicedError();
+      return invoiceNumber;
+    });
+  } catch (error) {
+    if (!(error instanceof AlreadyInvoicedError)) throw error;
+
+    const current = await prisma.order.findUnique({ where: { id: order.id } });
+    return current.invoiceNumber;
+  }
+};
+
+const sumOf = (items, field) => items.reduce((sum, item) => sum + parseFloat(item[field]), 0);
+
+// Everything printed on an invoice, from an order with orderItems.product
+const buildInvoice = (order) => {
+  const items = order.orderItems.map(item => {
+    const options = [item.size, item.color].filter(Boolean).join(' / ');
+
+    return {
+      description: options ? `${item.product.name} (${options})` : item.product.name,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.price),
+      amount: parseFloat(item.price) * item.quantity,
+      taxRate: item.taxRate,
+      taxableValue: parseFloat(item.taxableValue),
+      cgst: parseFloat(item.cgst),
+      sgst: parseFloat(item.sgst),
+      igst: parseFloat(item.igst)
+    };
+  });
+
+  return {
+    number: order.invoiceNumber,
+    date: order.invoicedAt,
+    orderId: order.id,
+    orderDate: order.createdAt,
+    seller: { ...config.seller, state: storeState },
+    buyer: {
+      name: order.shippingName,
+      address: order.shippingAddress,
+      phone: order.phone
+    },
+    placeOfSupply: order.shippingState,
+    // Decides between CGST/SGST and IGST columns, even when no tax was charged
+    intraState: isIntraState(order.shippingState),
+    items,
+    totals: {
+      subtotal: sumOf(items, 'amount'),
+      discount: parseFloat(order.discount),
+      taxableValue: sumOf(items, 'taxableValue'),
+      cgst: sumOf(items, 'cgst'),
+      sgst: sumOf(items, 'sgst'),
+      igst: sumOf(items, 'igst'),
+      tax: parseFloat(order.tax),
+      taxIncluded: order.taxIncluded,
+      shipping: parseFloat(order.shipping),
+      total: parseFloat(order.total)
+    }
+  };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const amount = (value) => value.toFixed(2);
+
+const renderInvoiceHtml = (invoice) => {
+  const { seller, buyer, totals, intraState } = invoice;
+
+  const rows = invoice.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}</td>
+        <td class="num">${item.quantity}</td>
+        <td class="num">${amount(item.unitPrice)}</td>
+        <td class="num">${amount(item.taxableValue)}</td>
+        <td class="num">${item.taxRate}%</td>
+        ${intraState
+          ? `<td class="num">${amount(item.cgst)}</td><td class="num">${amount(item.sgst)}</td>`
+          : `<td class="num">${amount(item.igst)}</td>`}
+        <td class="num">${amount(item.amount)}</td>
+      </tr>`).join('');
+
+  const summary = [
+    ['Subtotal', totals.subtotal],
+    ...(totals.discount > 0 ? [['Discount', -totals.discount]] : []),
+    ...(intraState
+      ? [['CGST', totals.cgst], ['SGST', totals.sgst]]
+      : [['IGST', totals.igst]]),
+    ['Shipping', totals.shipping],
+    ['Total', totals.total]
+  ].map(([label, value]) => `
+      <tr><th>${label}</th><td class="num">&#8377;${amount(value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 14px; margin: 40px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <p>
+    <strong>${escapeHtml(seller.name)}</strong><br>
+    ${seller.address ? `${escapeHtml(seller.address)}<br>` : ''}
+    ${escapeHtml(seller.state)}<br>
+    ${seller.gstin ? `GSTIN: ${escapeHtml(seller.gstin)}` : ''}
+  </p>
+  <p>
+    Invoice number: ${escapeHtml(invoice.number)}<br>
+    Invoice date: ${formatDate(invoice.date)}<br>
+    Order: ${escapeHtml(invoice.orderId)} (${formatDate(invoice.orderDate)})
+  </p>
+  <p>
+    <strong>Bill to</strong><br>
+    ${escapeHtml(buyer.name || '')}<br>
+    ${escapeHtml(buyer.address || '')}<br>
+    ${buyer.phone ? escapeHtml(buyer.phone) : ''}
+  </p>
+  <p>Place of supply: ${escapeHtml(invoice.placeOfSupply || '')}</p>
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th><th class="num">Qty</th><th class="num">Unit price</th>
+        <th class="num">Taxable value</th><th class="num">Rate</th>
+        ${intraState ? '<th class="num">CGST</th><th class="num">SGST</th>' : '<th class="num">IGST</th>'}
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">${summary}
+  </table>
+  ${totals.taxIncluded ? '<p>Prices include GST.</p>' : ''}
+</body>
+</html>
+`;
+};
+
+// Resolves to the PDF as a Buffer. The built-in PDF fonts have no rupee
+// sign, so amounts are printed as "Rs.".
+const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller, buyer, totals, intraState } = invoice;
+
+    doc.fontSize(18).text('Tax Invoice');
+    doc.moveDown(0.5).fontSize(10);
+    doc.font('Helvetica-Bold').text(seller.name).font('Helvetica');
+    if (seller.address) doc.text(seller.address);
+    doc.text(seller.state);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+
+    doc.moveDown();
+    doc.text(`Invoice number: ${invoice.number}`);
+    doc.text(`Invoice date: ${formatDate(invoice.date)}`);
+    doc.text(`Order: ${invoice.orderId} (${formatDate(invoice.orderDate)})`);
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Bill to').font('Helvetica');
+    doc.text(buyer.name || '');
+    doc.text(buyer.address || '');
+    if (buyer.phone) doc.text(buyer.phone);
+    doc.text(`Place of supply: ${invoice.placeOfSupply || ''}`);
+
+    // Item table
+    const columns = intraState
+      ? [['Item', 150], ['Qty', 30], ['Rate', 35], ['Taxable', 65], ['CGST', 55], ['SGST', 55], ['Amount', 75]]
+      : [['Item', 150], ['Qty', 30], ['Rate', 35], ['Taxable', 65], ['IGST', 110], ['Amount', 75]];
+
+    // Long item names wrap, so the next row starts below the tallest cell
+    const row = (cells, bold) => {
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      let bottom = y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, i) => {
+        doc.text(cell, x, y, { width: columns[i][1], align: i === 0 ? 'left' : 'right' });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[i][1] + 5;
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = bottom;
+      doc.moveDown(0.5);
+    };
+
+    doc.moveDown();
+    row(columns.map(([title]) => title), true);
+    for (const item of invoice.items) {
+      row([
+        item.description,
+        String(item.quantity),
+        `${item.taxRate}%`,
+        amount(item.taxableValue),
+        ...(intraState ? [amount(item.cgst), amount(item.sgst)] : [amount(item.igst)]),
+        amount(item.amount)
+      ]);
+    }
+
+    doc.moveDown();
+    const line = (label, value) => {
+      doc.text(`${label}: Rs. ${amount(value)}`, { align: 'right' });
+    };
+    line('Subtotal', totals.subtotal);
+    if (totals.discount > 0) line('Discount', -totals.discount);
+    if (intraState) {
+      line('CGST', totals.cgst);
+      line('SGST', totals.sgst);
+    } else {
+      line('IGST', totals.igst);
+    }
+    line('Shipping', totals.shipping);
+    doc.font('Helvetica-Bold');
+    line('Total', totals.total);
+    doc.font('Helvetica');
+
+    if (totals.taxIncluded) {
+      doc.moveDown().text('Prices include GST.');
+    }
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  financialYear,
+  assignInvoiceNumber,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,103 @@
+// Storefront product listings: search, filters, sorting, facets and pagination
+//
+// Shared by GET /api/products and the category pages so both accept the same
+// query parameters and return the same shape. Filtering by a category
+// includes every category below it.
+const { summarizeRatings } = require('./ratings');
+const { searchProductIds, buildProductWhere, computeFacets } = require('./search');
+const { descendantIds } = require('./categories');
+
+// Which of `productIds` the signed-in user has wishlisted (empty when anonymous)
+const wishlistedIds = async (prisma, user, productIds) => {
+  if (!user || productIds.length === 0) return new Set();
+
+  const items = await prisma.wishlistItem.findMany({
+    where: { userId: user.id, productId: { in: productIds } },
+    select: { productId: true }
+  });
+
+  return new Set(items.map(item => item.productId));
+};
+
+// Returns { products, facets, pagination } for the filters in `query`
+const listProducts = async (prisma, query, user) => {
+  const { page = 1, limit = 10, search, order = 'desc' } = query;
+  const skip = (page - 1) * limit;
+
+  // Search matches, best first; null when not searching
+  const matchIds = search ? await searchProductIds(prisma, search) : null;
+  const categoryIds = query.category
+    ? [query.category, ...await descendantIds(prisma, query.category)]
+    : null;
+  const where = buildProductWhere(prisma, query, { ids: matchIds, categoryIds });
+  const sortBy = query.sortBy || (matchIds ? 'relevance' : 'createdAt');
+
+  const include = {
+    category: true,
+    reviews: {
+      select: { rating: true }
+    },
+    _count: {
+      select: { reviews: true }
+    }
+  };
+
+  let products;
+  let total;
+
+  if (sortBy === 'relevance' && matchIds) {
+    // Relevance comes from the search index, so order and page the ids here
+    const rank = new Map(matchIds.map((id, index) => [id, index]));
+    const filtered = await prisma.product.findMany({ where, select: { id: true } });
+    const pageIds = filtered
+      .map(product => product.id)
+      .sort((a, b) => rank.get(a) - rank.get(b))
+      .slice(parseInt(skip), parseInt(skip) + parseInt(limit));
+
+    total = filtered.length;
+    products = (await prisma.product.findMany({
+      where: { id: { in: pageIds } },
+      include
+    })).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  } else {
+    // "rating" sorts on the stored average kept in sync by the reviews routes
+    const orderBy = {};
+    orderBy[sortBy === 'rating' ? 'averageRating' : sortBy === 'relevance' ? 'createdAt' : sortBy] = order;
+
+    [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        include,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy
+      }),
+      prisma.product.count({ where })
+    ]);
+  }
+
+  const [facets, wishlisted] = await Promise.all([
+    computeFacets(prisma, query, { ids: matchIds, categoryIds }),
+    wishlistedIds(prisma, user, products.map(product => product.id))
+  ]);
+
+  return {
+    products: products.map(product => ({
+      ...product,
+      ...summarizeRatings(product.reviews),
+      ...(user && { inWishlist: wishlisted.has(product.id) })
+    })),
+    facets,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  wishlistedIds,
+  listProducts
+};
@@ -0,0 +1,6 @@
+// Prints emails to the server log, for local development
+const send = async ({ from, to, subject, text }) => {
+  console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}\n`);
+};
+
+module.exports = { send };
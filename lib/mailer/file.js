@@ -0,0 +1,14 @@
+// Writes each email as a JSON file under MAIL_DIR, for local testing
+const fs = require('fs/promises');
+const path = require('path');
+
+const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail'));
+
+const send = async (message) => {
+  await fs.mkdir(dir, { recursive: true });
+  const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+};
+
+module.exports = { send };
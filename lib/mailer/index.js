@@ -0,0 +1,22 @@
+// Outgoing email, sent through the transport picked with MAIL_TRANSPORT
+// (default: console). A transport exposes send({ from, to, subject, text, html})
+// returning a Promise.
+const transports = {
+  console: () => require('./console'),
+  file: () => require('./file')
+};
+
+const name = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[name]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+}
+
+const transport = transports[name]();
+const from = process.env.MAIL_FROM || 'no-reply@localhost';
+
+const sendMail = (message) => transport.send({ from, ...message });
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,115 @@
+// Wishlist alerts: in-app notifications, plus an email copy for users who
+// have email notifications on. Emails go through the mailer, so
+// MAIL_TRANSPORT decides how they are delivered.
+const { unitPrice } = require('./variants');
+const { sendNotificationEmail } = require('./emails');
+
+const rupees = (value) => `₹${value.toFixed(2)}`;
+
+// Email a copy of each notification to the users who want one. A failed
+// email is logged; the in-app notification stands either way.
+const emailNotifications = async (prisma, notifications) => {
+  const users = await prisma.user.findMany({
+    where: {
+      id: { in: [...new Set(notifications.map(notification => notification.userId))] },
+      emailNotifications: true,
+      status: 'ACTIVE',
+      deletedAt: null
+    },
+    select: { id: true, email: true, name: true }
+  });
+  const userById = new Map(users.map(user => [user.id, user]));
+
+  for (const notification of notifications) {
+    const user = userById.get(notification.userId);
+    if (!user) continue;
+
+    try {
+      await sendNotificationEmail(user, notification);
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: { emailedAt: new Date() }
+      });
+    } catch (error) {
+      console.error(`Failed to email notification ${notification.id}`, error);
+    }
+  }
+};
+
+// Create the notifications, then send the emails in the background so the
+// request that triggered them doesn't wait on the mailer
+const notifyUsers = async (prisma, notifications) => {
+  if (notifications.length === 0) return [];
+
+  const created = await prisma.notification.createManyAndReturn({ data: notifications });
+
+  emailNotifications(prisma, created).catch(error => {
+    console.error('Failed to email notifications', error);
+  });
+
+  return created;
+};
+
+// Tell users who wishlisted a product that it got cheaper than when they
+// saved it, or that it is back in stock. `before` is the product as it was
+// before the update. Never throws, so the update that triggered it still
+// succeeds; problems are logged.
+//
+// Alerts are product-level, like the wishlist itself, which saves products
+// rather than sizes or colors: the price compared is the base price, and a
+// product is back in stock when its total stock (the sum of its variants',
+// see syncProductStock) goes from zero to some. A change to one variant's
+// price adjustment, or one size restocking while others are still in stock,
+// doesn't send an alert.
+const notifyProductChanges = async (prisma, before) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: before.id } });
+    if (!product || !product.isActive) return [];
+
+    const price = unitPrice(product, null);
+    const priceDropped = price < unitPrice(before, null);
+    const restocked = before.stock === 0 && product.stock > 0;
+
+    if (!priceDropped && !restocked) return [];
+
+    const items = await prisma.wishlistItem.findMany({
+      where: { productId: product.id }
+    });
+
+    const notifications = [];
+    for (const item of items) {
+      // Items saved before prices were recorded compare with the old price
+      const saved = item.addedPrice !== null ? parseFloat(item.addedPrice) : unitPrice(before, null);
+
+      if (priceDropped && price < saved) {
+        notifications.push({
+          userId: item.userId,
+          productId: product.id,
+          type: 'PRICE_DROP',
+          title: `Price drop: ${product.name}`,
+          message: `${product.name} from your wishlist is now ${rupees(price)}, down from ${rupees(saved)}.`
+        });
+      }
+
+      if (restocked) {
+        notifications.push({
+          userId: item.userId,
+          productId: product.id,
+          type: 'BACK_IN_STOCK',
+          title: `Back in stock: ${product.name}`,
+          message: `${product.name} from your wishlist is back in stock.`
+        });
+      }
+    }
+
+    return await notifyUsers(prisma, notifications);
+  } catch (error) {
+    console.error(`Failed to send wishlist notifications for product ${before.id}`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  notifyUsers,
+  notifyProductChanges
+};
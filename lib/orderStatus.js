@@ -0,0 +1,95 @@
+// Order lifecycle: legal status transitions, history and restocking
+const { releaseCoupon } = require('./coupons');
+const { restockOrder } = require('./inventory');
+
+// Statuses each status may move to. CANCELLED and RETURNED are final.
+const TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: ['RETURN_REQUESTED'],
+  // A rejected return request goes back to DELIVERED
+  RETURN_REQUESTED: ['RETURNED', 'DELIVERED'],
+  CANCELLED: [],
+  RETURNED: []
+};
+
+// Entering these statuses puts the ordered quantities back into stock,
+// recorded in the inventory ledger as this movement type
+const RESTOCK_TYPES = {
+  CANCELLED: 'CANCEL',
+  RETURNED: 'RETURN'
+};
+
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+// Thrown when an order changed status between being read and being updated
+class OrderConflictError extends Error {
+  constructor(orderId) {
+    super(`Order ${orderId} was updated by someone else, please retry`);
+    this.name = 'OrderConflictError';
+  }
+}
+
+// Thrown when an order can't move from its current status to the one asked for
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+// Append an entry to an order's status history
+const recordStatus = (prisma, orderId, status, actorId, note) => {
+  return prisma.orderStatusHistory.create({
+    data: {
+      orderId,
+      status,
+      actorId: actorId || null,
+      note: note || null
+    }
+  });
+};
+
+// Move an order from its current status to `to`, recording who did it,
+// stamping shipment times and restocking when the order is cancelled or
+// returned. Must be called inside a transaction; the caller checks
+// canTransition first.
+const transitionOrder = async (prisma, order, to, actorId, note) => {
+  // Only update if nobody moved the order on in the meantime
+  const { count } = await prisma.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: {
+      status: to,
+      ...(to === 'SHIPPED' && { shippedAt: new Date() }),
+      ...(to === 'DELIVERED' && { deliveredAt: new Date() })
+    }
+  });
+
+  if (count === 0) {
+    throw new OrderConflictError(order.id);
+  }
+
+  await recordStatus(prisma, order.id, to, actorId, note);
+
+  if (RESTOCK_TYPES[to]) {
+    await restockOrder(prisma, order.id, RESTOCK_TYPES[to], actorId);
+  }
+
+  // A cancelled order never used its coupon
+  if (to === 'CANCELLED') {
+    await releaseCoupon(prisma, order.id);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  OrderConflictError,
+  InvalidTransitionError,
+  recordStatus,
+  transitionOrder
+};
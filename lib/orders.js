@@ -0,0 +1,40 @@
+// Changing an order's status from the order and admin routes
+//
+// Lives apart from lib/orderStatus because refunds go through lib/payments,
+// which itself depends on lib/orderStatus.
+const { canTransition, transitionOrder, InvalidTransitionError } = require('./orderStatus');
+const { refundOrder } = require('./payments');
+
+// Move an order to `status`, optionally saving shipment details (carrier,
+// trackingNumber) in the same transaction. Throws InvalidTransitionError or
+// OrderConflictError when the change is refused.
+const changeOrderStatus = async (prisma, order, status, { actorId, note, shipment } = {}) => {
+  if (!canTransition(order.status, status)) {
+    throw new InvalidTransitionError(order.status, status);
+  }
+
+  await prisma.$transaction(async (prisma) => {
+    await transitionOrder(prisma, order, status, actorId, note);
+
+    if (shipment && Object.keys(shipment).length) {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: shipment
+      });
+    }
+  });
+
+  // Give the money back once the goods are back (or never left). A failed
+  // refund is logged for an admin to retry rather than undoing the change.
+  if (status === 'CANCELLED' || status === 'RETURNED') {
+    try {
+      await refundOrder(prisma, order.id, note || `Order ${status.toLowerCase()}`, actorId);
+    } catch (error) {
+      console.error(`Failed to refund order ${order.id}`, error);
+    }
+  }
+};
+
+module.exports = {
+  changeOrderStatus
+};
@@ -0,0 +1,32 @@
+// Payment provider, picked with PAYMENT_PROVIDER. Only development and test
+// fall back to the mock provider, so a deployment that forgets to set it can't
+// end up taking fake payments. A provider exposes:
+//   name
+//   createIntent({ amount, currency, orderId }) -> Promise<{ intentId, clientSecret, data }>
+//   confirm({ intentId, payload }) -> Promise<{ status, chargeId, failureReason }>
+//   refund({ intentId, chargeId, amount, reason }) -> Promise<{ refundId, status }>
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(rawBody, headers) -> { eventId, type, intentId, chargeId, refundId, failureReason },
+//     or null for events we don't act on
+// Amounts are in major currency units. Statuses are PENDING, SUCCEEDED or
+// FAILED; event types are payment.succeeded, payment.failed,
+// refund.succeeded and refund.failed.
+const providers = {
+  mock: () => require('./mock'),
+  razorpay: () => require('./razorpay')
+};
+
+const LOCAL_ENVS = ['development', 'test'];
+
+const name = process.env.PAYMENT_PROVIDER ||
+  (LOCAL_ENVS.includes(process.env.NODE_ENV) ? 'mock' : null);
+
+if (!name) {
+  throw new Error('PAYMENT_PROVIDER must be set outside development and test');
+}
+
+if (!providers[name]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+}
+
+module.exports = providers[name]();
@@ -0,0 +1,68 @@
+// Local provider for development and tests. Payments succeed on confirm
+// unless the payload asks for `{ simulate: 'failure' }`, and refunds succeed
+// at once. Webhooks are signed with an HMAC of the body in X-Mock-Signature;
+// use signWebhook to build them.
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createIntent = async () => {
+  const intentId = newId('mock_pi');
+
+  return {
+    intentId,
+    clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    data: {}
+  };
+};
+
+const confirm = async ({ payload = {} }) => {
+  if (payload.simulate === 'failure') {
+    return { status: 'FAILED', chargeId: null, failureReason: 'Card declined (simulated)' };
+  }
+
+  return { status: 'SUCCEEDED', chargeId: newId('mock_ch'), failureReason: null };
+};
+
+const refund = async () => {
+  return { refundId: newId('mock_rf'), status: 'SUCCEEDED' };
+};
+
+const signWebhook = (rawBody) => {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const signature = String(headers['x-mock-signature'] || '');
+  const expected = signWebhook(rawBody);
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+// Events look like { id, type, data: { intentId, chargeId, refundId, failureReason } }
+const parseWebhook = (rawBody) => {
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const data = event.data || {};
+
+  return {
+    eventId: event.id,
+    type: event.type,
+    intentId: data.intentId || null,
+    chargeId: data.chargeId || null,
+    refundId: data.refundId || null,
+    failureReason: data.failureReason || null
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createIntent,
+  confirm,
+  refund,
+  signWebhook,
+  verifyWebhook,
+  parseWebhook
+};
@@ -0,0 +1,126 @@
+// Razorpay. An intent is a Razorpay order; the storefront opens Razorpay
+// Checkout with `data` and posts back razorpay_payment_id and
+// razorpay_signature to confirm. Configured with RAZORPAY_KEY_ID,
+// RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.
+const crypto = require('crypto');
+
+const API_URL = 'https://api.razorpay.com/v1';
+const KEY_ID = process.env.RAZORPAY_KEY_ID;
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+// Razorpay amounts are in the smallest currency unit (paise)
+const toMinor = (amount) => Math.round(amount * 100);
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const request = async (method, path, body) => {
+  if (!KEY_ID || !KEY_SECRET) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`,
+      'Content-Type': 'application/json'
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const message = data.error ? data.error.description : response.statusText;
+    throw new Error(`Razorpay: ${message}`);
+  }
+  return data;
+};
+
+const createIntent = async ({ amount, currency, orderId }) => {
+  const order = await request('POST', '/orders', {
+    amount: toMinor(amount),
+    currency,
+    receipt: orderId,
+    notes: { orderId }
+  });
+
+  return {
+    intentId: order.id,
+    clientSecret: null,
+    data: {
+      keyId: KEY_ID,
+      razorpayOrderId: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }
+  };
+};
+
+// Checkout signs "<order id>|<payment id>" with the key secret
+const confirm = async ({ intentId, payload = {} }) => {
+  const paymentId = String(payload.razorpay_payment_id || '');
+  const signature = String(payload.razorpay_signature || '');
+
+  if (!paymentId || !safeEqual(signature, hmac(KEY_SECRET, `${intentId}|${paymentId}`))) {
+    return { status: 'FAILED', chargeId: null, failureReason: 'Payment signature did not match' };
+  }
+
+  return { status: 'SUCCEEDED', chargeId: paymentId, failureReason: null };
+};
+
+const refund = async ({ chargeId, amount, reason }) => {
+  const result = await request('POST', `/payments/${chargeId}/refund`, {
+    amount: toMinor(amount),
+    notes: { reason: reason || '' }
+  });
+
+  return {
+    refundId: result.id,
+    status: result.status === 'processed' ? 'SUCCEEDED' : 'PENDING'
+  };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  if (!WEBHOOK_SECRET) return false;
+  const signature = String(headers['x-razorpay-signature'] || '');
+  return safeEqual(signature, hmac(WEBHOOK_SECRET, rawBody));
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const eventId = headers['x-razorpay-event-id'];
+  const payment = event.payload.payment && event.payload.payment.entity;
+  const refundEntity = event.payload.refund && event.payload.refund.entity;
+
+  switch (event.event) {
+    case 'payment.captured':
+      return { eventId, type: 'payment.succeeded', intentId: payment.order_id, chargeId: payment.id };
+    case 'payment.failed':
+      return {
+        eventId,
+        type: 'payment.failed',
+        intentId: payment.order_id,
+        chargeId: payment.id,
+        failureReason: payment.error_description || null
+      };
+    case 'refund.processed':
+      return { eventId, type: 'refund.succeeded', refundId: refundEntity.id };
+    case 'refund.failed':
+      return { eventId, type: 'refund.failed', refundId: refundEntity.id };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  name: 'razorpay',
+  createIntent,
+  confirm,
+  refund,
+  verifyWebhook,
+  parseWebhook
+};
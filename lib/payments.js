@@ -0,0 +1,291 @@
+// Paying for orders through the configured provider (see lib/paymentProviders)
+//
+// Each attempt to pay is a Payment row. A successful payment confirms the
+// order; cancelling or returning a paid order refunds it. The provider may
+// tell us the outcome either in the confirm response or later by webhook,
+// so every state change here is conditional and safe to apply twice.
+const provider = require('./paymentProviders');
+const { transitionOrder } = require('./orderStatus');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+
+// Payment statuses that mean money was taken and may be refunded
+const PAID_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+
+// Thrown for requests that can't be carried out; the message is safe to show
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+const money = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// Start a payment attempt for the full order total. Earlier attempts still
+// pending are given up, so an order has at most one open attempt; one that
+// succeeds anyway is refunded (see markPaymentSucceeded).
+const createPayment = async (prisma, order) => {
+  if (order.status !== 'PENDING') {
+    throw new PaymentError(`Order is ${order.status.toLowerCase()} and can't be paid for`);
+  }
+
+  const paid = await prisma.payment.findFirst({
+    where: { orderId: order.id, status: { in: PAID_STATUSES } }
+  });
+  if (paid) {
+    throw new PaymentError('Order has already been paid');
+  }
+
+  await prisma.payment.updateMany({
+    where: { orderId: order.id, status: 'PENDING' },
+    data: { status: 'FAILED', failureReason: 'Replaced by a new payment attempt' }
+  });
+
+  const amount = money(order.total);
+  const intent = await provider.createIntent({ amount, currency: CURRENCY, orderId: order.id });
+
+  const payment = await prisma.payment.create({
+    data: {
+      orderId: order.id,
+      provider: provider.name,
+      intentId: intent.intentId,
+      amount,
+      currency: CURRENCY
+    }
+  });
+
+  return { payment, clientSecret: intent.clientSecret, data: intent.data };
+};
+
+// Mark a payment failed unless it already has an outcome
+const markPaymentFailed = (prisma, payment, reason) => {
+  return prisma.payment.updateMany({
+    where: { id: payment.id, status: 'PENDING' },
+    data: { status: 'FAILED', failureReason: reason || null }
+  });
+};
+
+// Mark a payment succeeded and confirm its order. A payment that lands after
+// the order was cancelled, or after another attempt already paid for it, is
+// refunded straight away.
+const markPaymentSucceeded = async (prisma, payment, chargeId) => {
+  const result = await prisma.$transaction(async (prisma) => {
+    // A failed attempt can still succeed later, e.g. after a bank retry
+    const { count } = await prisma.payment.updateMany({
+      where: { id: payment.id, status: { in: ['PENDING', 'FAILED'] } },
+      data: { status: 'SUCCEEDED', chargeId: chargeId || null, failureReason: null }
+    });
+    if (count === 0) return null;
+
+    const order = await prisma.order.findUnique({ where: { id: payment.orderId } });
+    if (order.status === 'PENDING') {
+      await transitionOrder(prisma, order, 'CONFIRMED', null, 'Payment received');
+      return { order, alreadyPaid: false };
+    }
+
+    const otherPayment = await prisma.payment.findFirst({
+      where: { orderId: order.id, id: { not: payment.id }, status: { in: PAID_STATUSES } }
+    });
+    return { order, alreadyPaid: Boolean(otherPayment) };
+  });
+
+  if (!result) return;
+
+  if (result.order.status === 'CANCELLED') {
+    await refundOrder(prisma, result.order.id, 'Order was cancelled before payment completed');
+  } else if (result.alreadyPaid) {
+    const paid = await prisma.payment.findUnique({ where: { id: payment.id } });
+    await refundPayment(prisma, paid, { reason: 'Order was already paid by another payment' });
+  }
+};
+
+// Confirm a payment with what the storefront got back from the provider
+const confirmPayment = async (prisma, payment, payload) => {
+  if (payment.status !== 'PENDING') {
+    return prisma.payment.findUnique({ where: { id: payment.id } });
+  }
+
+  const result = await provider.confirm({ intentId: payment.intentId, payload });
+
+  if (result.status === 'SUCCEEDED') {
+    await markPaymentSucceeded(prisma, payment, result.chargeId);
+  } else if (result.status === 'FAILED') {
+    await markPaymentFailed(prisma, payment, result.failureReason);
+  }
+
+  return prisma.payment.findUnique({ where: { id: payment.id } });
+};
+
+// Count a refund as done and update its payment's refunded total
+const markRefundSucceeded = async (prisma, refundId) => {
+  await prisma.$transaction(async (prisma) => {
+    const { count } = await prisma.refund.updateMany({
+      where: { id: refundId, status: 'PENDING' },
+      data: { status: 'SUCCEEDED' }
+    });
+    if (count === 0) return;
+
+    const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+    const payment = await prisma.payment.update({
+      where: { id: refund.paymentId },
+      data: { refundedAmount: { increment: refund.amount } }
+    });
+
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: money(payment.refundedAmount) >= money(payment.amount) ? 'REFUNDED' : 'PARTIALLY_REFUNDED'
+      }
+    });
+  });
+};
+
+// Refund part or all (amount omitted) of what is left on a payment. The
+// refundable amount is worked out and the refund recorded in one transaction
+// that starts by writing to the payment, so concurrent refunds of the same
+// payment run one after the other and can't together exceed what was paid.
+const refundPayment = async (prisma, payment, { amount, reason, actorId } = {}) => {
+  const { refund, value } = await prisma.$transaction(async (prisma) => {
+    const { count } = await prisma.payment.updateMany({
+      where: { id: payment.id, status: { in: PAID_STATUSES } },
+      data: { updatedAt: new Date() }
+    });
+    if (count === 0) {
+      throw new PaymentError('Only successful payments can be refunded');
+    }
+
+    const current = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+    // Refunds still waiting on the provider count against what is left
+    const pending = await prisma.refund.aggregate({
+      where: { paymentId: payment.id, status: 'PENDING' },
+      _sum: { amount: true }
+    });
+    const refundable = money(current.amount) - money(current.refundedAmount) - money(pending._sum.amount || 0);
+    const value = amount === undefined ? refundable : money(amount);
+
+    if (value <= 0 || value > refundable) {
+      throw new PaymentError(`Refund must be between 0 and ${refundable.toFixed(2)}`);
+    }
+
+    const refund = await prisma.refund.create({
+      data: {
+        paymentId: payment.id,
+        amount: value,
+        reason: reason || null,
+        actorId: actorId || null
+      }
+    });
+
+    return { refund, value };
+  });
+
+  let result;
+  try {
+    result = await provider.refund({
+      intentId: payment.intentId,
+      chargeId: payment.chargeId,
+      amount: value,
+      reason
+    });
+  } catch (error) {
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: 'FAILED', failureReason: error.message }
+    });
+    throw new PaymentError(`Refund failed: ${error.message}`);
+  }
+
+  await prisma.refund.update({
+    where: { id: refund.id },
+    data: { providerRefundId: result.refundId }
+  });
+
+  if (result.status === 'SUCCEEDED') {
+    await markRefundSucceeded(prisma, refund.id);
+  }
+
+  return prisma.refund.findUnique({ where: { id: refund.id } });
+};
+
+// Refund everything paid for an order; does nothing for unpaid orders
+const refundOrder = async (prisma, orderId, reason, actorId) => {
+  const payments = await prisma.payment.findMany({
+    where: { orderId, status: { in: PAID_STATUSES } }
+  });
+
+  const refunds = [];
+  for (const payment of payments) {
+    refunds.push(await refundPayment(prisma, payment, { reason, actorId }));
+  }
+  return refunds;
+};
+
+// Apply a provider webhook. Throws PaymentError when the signature is wrong;
+// returns whether the event was acted on.
+const handleWebhook = async (prisma, rawBody, headers) => {
+  if (!rawBody || !provider.verifyWebhook(rawBody, headers)) {
+    throw new PaymentError('Invalid webhook signature');
+  }
+
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event || !event.eventId) {
+    return { handled: false };
+  }
+
+  // Providers redeliver events until they get a 2xx; only act on each once
+  const seen = await prisma.paymentEvent.findUnique({
+    where: { provider_eventId: { provider: provider.name, eventId: event.eventId } }
+  });
+  if (seen) {
+    return { handled: false, duplicate: true };
+  }
+
+  if (event.type.startsWith('payment.')) {
+    const payment = await prisma.payment.findUnique({
+      where: { provider_intentId: { provider: provider.name, intentId: event.intentId } }
+    });
+
+    if (payment && event.type === 'payment.succeeded') {
+      await markPaymentSucceeded(prisma, payment, event.chargeId);
+    } else if (payment && event.type === 'payment.failed') {
+      await markPaymentFailed(prisma, payment, event.failureReason);
+    }
+  } else if (event.type.startsWith('refund.')) {
+    const refund = await prisma.refund.findFirst({
+      where: { providerRefundId: event.refundId }
+    });
+
+    if (refund && event.type === 'refund.succeeded') {
+      await markRefundSucceeded(prisma, refund.id);
+    } else if (refund && event.type === 'refund.failed') {
+      await prisma.refund.updateMany({
+        where: { id: refund.id, status: 'PENDING' },
+        data: { status: 'FAILED' }
+      });
+    }
+  }
+
+  // Recorded only once handled, so a failure above gets retried; a
+  // concurrent duplicate delivery is harmless as the updates are conditional
+  try {
+    await prisma.paymentEvent.create({
+      data: { provider: provider.name, eventId: event.eventId, type: event.type }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  return { handled: true };
+};
+
+module.exports = {
+  PAID_STATUSES,
+  PaymentError,
+  createPayment,
+  confirmPayment,
+  refundPayment,
+  refundOrder,
+  handleWebhook
+};
@@ -0,0 +1,7 @@
+// The one PrismaClient shared by every router and middleware, so the app
+// keeps a single connection pool
+const { PrismaClient } = require('../generated/prisma');
+
+const prisma = new PrismaClient();
+
+module.exports = prisma;
@@ -0,0 +1,40 @@
+// Helpers for aggregating product review ratings
+
+// Average rating (one decimal) and a 1-5 star histogram from a list of
+// reviews or { rating } selections
+const summarizeRatings = (reviews) => {
+  const ratingHistogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let sum = 0;
+
+  for (const { rating } of reviews) {
+    ratingHistogram[rating] += 1;
+    sum += rating;
+  }
+
+  return {
+    averageRating: reviews.length ? Math.round((sum / reviews.length) * 10) / 10 : 0,
+    ratingHistogram
+  };
+};
+
+// Recompute the stored averageRating/reviewCount used to sort products by rating
+const refreshProductRating = async (prisma, productId) => {
+  const { _avg, _count } = await prisma.review.aggregate({
+    where: { productId },
+    _avg: { rating: true },
+    _count: true
+  });
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: {
+      averageRating: _avg.rating || 0,
+      reviewCount: _count
+    }
+  });
+};
+
+module.exports = {
+  summarizeRatings,
+  refreshProductRating
+};
@@ -0,0 +1,198 @@
+// Product search: SQLite FTS5 full-text matching, storefront filters and facet counts
+//
+// Prisma cannot model FTS5 virtual tables, so the ProductSearch index and the
+// triggers that keep it in step with Product come from a migration
+// (product_search) and are queried with raw SQL here.
+const { unitPrice } = require('./variants');
+
+const PRICE_BUCKETS = [
+  { key: '0-499', min: 0, max: 499.99 },
+  { key: '500-999', min: 500, max: 999.99 },
+  { key: '1000-1999', min: 1000, max: 1999.99 },
+  { key: '2000-4999', min: 2000, max: 4999.99 },
+  { key: '5000+', min: 5000, max: null }
+];
+
+// Turn free text into an FTS5 query: every word must match, as a prefix.
+// Words are quoted so user input can't inject FTS5 syntax.
+const toMatchQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+};
+
+// Ids of products matching `text`, best match first. Name matches weigh most,
+// then brand, tags and description.
+const searchProductIds = async (prisma, text) => {
+  const query = toMatchQuery(text);
+  if (!query) return [];
+
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT p."id" AS id
+     FROM "ProductSearch" s
+     JOIN "Product" p ON p.rowid = s.rowid
+     WHERE "ProductSearch" MATCH ?
+     ORDER BY bm25("ProductSearch", 10.0, 1.0, 5.0, 3.0)`,
+    query
+  );
+
+  return rows.map(row => row.id);
+};
+
+// Query string values may be repeated or comma-separated
+const listParam = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Match a value in a comma-separated column such as Product.size
+const inCommaList = (field, value) => ([
+  { [field]: value },
+  { [field]: { startsWith: `${value},` } },
+  { [field]: { endsWith: `,${value}` } },
+  { [field]: { contains: `,${value},` } }
+]);
+
+// Price the customer pays falls within [min, max]: the sale price when it is
+// below the list price, the list price otherwise, as unitPrice charges.
+// `listPrice` is a reference to the Product.price column.
+const priceRange = (min, max, listPrice) => {
+  const range = {
+    ...(min !== null && { gte: min }),
+    ...(max !== null && { lte: max })
+  };
+  return {
+    OR: [
+      { discountPrice: { ...range, lt: listPrice } },
+      { discountPrice: null, price: range },
+      { discountPrice: { gte: listPrice }, price: range }
+    ]
+  };
+};
+
+// Prisma `where` for the storefront filters in `query`. `ids` restricts to
+// search matches; `categoryIds` widens the category filter to cover
+// subcategories; `omit` leaves one facet's own filter out so its counts show
+// the alternatives.
+const buildProductWhere = (prisma, query, { ids = null, categoryIds = null, omit = null } = {}) => {
+  const brands = listParam(query.brand);
+  const colors = listParam(query.color);
+  const sizes = listParam(query.size);
+  const materials = listParam(query.material);
+  const inStock = query.inStock === 'true';
+  const minPrice = query.minPrice !== undefined ? parseFloat(query.minPrice) : null;
+  const maxPrice = query.maxPrice !== undefined ? parseFloat(query.maxPrice) : null;
+
+  const and = [];
+
+  if (colors.length && omit !== 'color') {
+    and.push({
+      OR: [
+        { variants: { some: { color: { in: colors }, ...(inStock && { stock: { gt: 0 } }) } } },
+        { variants: { none: {} }, color: { in: colors } }
+      ]
+    });
+  }
+
+  if (sizes.length && omit !== 'size') {
+    and.push({
+      OR: [
+        { variants: { some: { size: { in: sizes }, ...(inStock && { stock: { gt: 0 } }) } } },
+        { variants: { none: {} }, OR: sizes.flatMap(size => inCommaList('size', size)) }
+      ]
+    });
+  }
+
+  if ((minPrice !== null || maxPrice !== null) && omit !== 'price') {
+    and.push(priceRange(minPrice, maxPrice, prisma.product.fields.price));
+  }
+
+  return {
+    isActive: true,
+    ...(ids && { id: { in: ids } }),
+    ...(query.category && omit !== 'category' && { categoryId: { in: categoryIds || [query.category] } }),
+    ...(query.gender && { gender: query.gender.toUpperCase() }),
+    ...(brands.length && omit !== 'brand' && { brand: { in: brands } }),
+    ...(materials.length && { material: { in: materials } }),
+    ...(query.isFeatured && { isFeatured: query.isFeatured === 'true' }),
+    ...(query.sellerId && { sellerId: query.sellerId }),
+    ...(inStock && { stock: { gt: 0 } }),
+    ...(and.length && { AND: and })
+  };
+};
+
+const countBy = (values) => {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined || value === '') continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+// Facet counts (number of matching products per value) for the filter sidebar
+const computeFacets = async (prisma, query, { ids = null, categoryIds = null } = {}) => {
+  const where = (omit) => buildProductWhere(prisma, query, { ids, categoryIds, omit });
+
+  const [brandRows, categoryRows, colorProducts, sizeProducts, priceProducts] = await Promise.all([
+    prisma.product.groupBy({ by: ['brand'], where: where('brand'), _count: true }),
+    prisma.product.groupBy({ by: ['categoryId'], where: where('category'), _count: true }),
+    prisma.product.findMany({
+      where: where('color'),
+      select: { color: true, variants: { select: { color: true, stock: true } } }
+    }),
+    prisma.product.findMany({
+      where: where('size'),
+      select: { size: true, variants: { select: { size: true, stock: true } } }
+    }),
+    prisma.product.findMany({
+      where: where('price'),
+      select: { price: true, discountPrice: true }
+    })
+  ]);
+
+  const categories = await prisma.category.findMany({
+    where: { id: { in: categoryRows.map(row => row.categoryId) } },
+    select: { id: true, name: true, slug: true }
+  });
+  const categoryById = new Map(categories.map(category => [category.id, category]));
+
+  // Each product counts once per option, from its variants when it has any
+  const optionsOf = (product, field) => {
+    if (product.variants.length === 0) {
+      return field === 'size' ? (product.size || '').split(',') : [product.color];
+    }
+    const variants = query.inStock === 'true'
+      ? product.variants.filter(v => v.stock > 0)
+      : product.variants;
+    return [...new Set(variants.map(v => v[field]))];
+  };
+
+  return {
+    brands: brandRows
+      .filter(row => row.brand)
+      .map(row => ({ value: row.brand, count: row._count }))
+      .sort((a, b) => b.count - a.count),
+    categories: categoryRows
+      .map(row => ({ ...categoryById.get(row.categoryId), count: row._count }))
+      .sort((a, b) => b.count - a.count),
+    colors: countBy(colorProducts.flatMap(product => optionsOf(product, 'color'))),
+    sizes: countBy(sizeProducts.flatMap(product => optionsOf(product, 'size'))),
+    priceBuckets: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: priceProducts.filter(product => {
+        const price = unitPrice(product, null);
+        return price >= bucket.min && (bucket.max === null || price <= bucket.max);
+      }).length
+    }))
+  };
+};
+
+module.exports = {
+  searchProductIds,
+  buildProductWhere,
+  computeFacets
+};
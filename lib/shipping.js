@@ -0,0 +1,48 @@
+// Shipping fee calculation from the rules in config/shipping.js
+const rules = require('../config/shipping');
+
+const findZone = (pincode) => {
+  const code = String(pincode || '');
+  const zone = rules.zones.find(z => z.pincodePrefixes.some(prefix => code.startsWith(prefix)));
+  return zone || rules.defaultZone;
+};
+
+// Shipping for priced lines ({ product, quantity }) going to `pincode`.
+// `orderValue` is the amount after discounts, checked against the free
+// shipping threshold.
+// Returns { zone, fee, freeShipping }.
+const calculateShipping = ({ pincode, lines, orderValue }) => {
+  const zone = findZone(pincode);
+
+  if (rules.freeShippingThreshold !== null && orderValue >= rules.freeShippingThreshold) {
+    return { zone: zone.name, fee: 0, freeShipping: true };
+  }
+
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const weight = lines.reduce((sum, line) => {
+    const itemWeight = line.product.weight != null ? line.product.weight : rules.defaultItemWeight;
+    return sum + itemWeight * line.quantity;
+  }, 0);
+
+  const extraItems = Math.max(0, itemCount - 1);
+  const extraKg = Math.max(0, Math.ceil(weight - rules.includedWeight));
+
+  const fee = zone.baseFee +
+    extraItems * rules.perAdditionalItemFee +
+    extraKg * rules.perKgFee;
+
+  return { zone: zone.name, fee, freeShipping: false };
+};
+
+// Single-line text form of an address, as stored on orders
+const formatAddress = (address) => {
+  return [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+module.exports = {
+  findZone,
+  calculateShipping,
+  formatAddress
+};
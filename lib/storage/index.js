@@ -0,0 +1,16 @@
+// Storage backend for uploaded files, picked with STORAGE_DRIVER (default: local).
+// A driver exposes:
+//   save(key, buffer, contentType) -> Promise<url>
+//   remove(key) -> Promise, resolving even if the file is already gone
+// and may set `staticRoot` when server.js should serve its files itself.
+const drivers = {
+  local: () => require('./local')
+};
+
+const name = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[name]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+}
+
+module.exports = drivers[name]();
@@ -0,0 +1,37 @@
+// Stores uploads on local disk under UPLOAD_DIR, served by server.js at /uploads
+const fs = require('fs/promises');
+const path = require('path');
+
+const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const publicPath = '/uploads';
+
+// Keys come from our own code, but never let one escape the upload directory
+const resolveKey = (key) => {
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+};
+
+const save = async (key, buffer) => {
+  const file = resolveKey(key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, buffer);
+  return `${publicPath}/${key}`;
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  save,
+  remove,
+  staticRoot: root,
+  publicPath
+};
@@ -0,0 +1,63 @@
+// Tax calculation from the rules in config/tax.js
+const rules = require('../config/tax');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rate for one unit of a product ({ category }) at `unitPrice`
+const rateFor = (product, unitPrice) => {
+  const slug = product.category ? product.category.slug : null;
+  const rule = slug && rules.categoryRates[slug] !== undefined
+    ? rules.categoryRates[slug]
+    : rules.defaultRate;
+
+  if (!Array.isArray(rule)) return rule;
+
+  const slab = rule.find(s => s.upTo === undefined || unitPrice <= s.upTo);
+  return slab ? slab.rate : rules.defaultRate;
+};
+
+// Within the store's state tax is split into CGST and SGST; otherwise it is IGST
+const isIntraState = (state) => {
+  return String(state || '').trim().toLowerCase() === rules.storeState.toLowerCase();
+};
+
+// Tax on priced lines ({ product, price, quantity }) shipped to `state`. An
+// order-level discount is shared across lines by value. Shipping is not taxed.
+// Returns { amount, included, lines } where lines line up with the input and
+// hold { rate, taxableValue, cgst, sgst, igst, tax }. Without a state the
+// split is unknown, so only `tax` is filled in.
+const calculateTax = ({ lines, discount = 0, state }) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const intraState = state ? isIntraState(state) : null;
+
+  const taxLines = lines.map(line => {
+    const gross = line.price * line.quantity;
+    const value = subtotal > 0 ? gross - discount * (gross / subtotal) : 0;
+    const rate = rateFor(line.product, line.price);
+
+    const taxableValue = rules.pricesIncludeTax ? value / (1 + rate / 100) : value;
+    const tax = round(taxableValue * rate / 100);
+    const half = round(tax / 2);
+
+    return {
+      rate,
+      taxableValue: round(taxableValue),
+      cgst: intraState ? half : 0,
+      sgst: intraState ? round(tax - half) : 0,
+      igst: intraState === false ? tax : 0,
+      tax
+    };
+  });
+
+  return {
+    amount: round(taxLines.reduce((sum, line) => sum + line.tax, 0)),
+    included: rules.pricesIncludeTax,
+    lines: taxLines
+  };
+};
+
+module.exports = {
+  rateFor,
+  isIntraState,
+  calculateTax
+};
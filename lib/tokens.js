@@ -0,0 +1,153 @@
+// Access and refresh tokens
+//
+// Access tokens are short-lived JWTs carrying the user's tokenVersion, so
+// bumping the version (log out everywhere, role change) invalidates them at
+// once. Refresh tokens are random strings stored hashed; each use rotates it
+// for a new one in the same family, and presenting an already rotated token
+// revokes the whole family since it means the token was copied.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, ver: user.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+const createRefreshToken = async (prisma, userId, familyId, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      familyId: familyId || crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      userAgent: req ? req.get('User-Agent') || null : null,
+      ip: req ? req.ip : null
+    }
+  });
+
+  return { token, record };
+};
+
+// Start a new session for a user who just proved who they are
+const issueSession = async (prisma, user, req) => {
+  const { token: refreshToken } = await createRefreshToken(prisma, user.id, null, req);
+
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeFamily = (prisma, familyId) => {
+  return prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Revoke every refresh token and access token a user holds
+const revokeAllSessions = (prisma, userId) => {
+  return prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { tokenVersion: { increment: 1 } }
+    })
+  ]);
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Throws RefreshTokenError when the token is unknown, expired or revoked.
+const rotateSession = async (prisma, token, req) => {
+  const current = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: { user: true }
+  });
+
+  if (!current) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  if (current.revokedAt) {
+    // A rotated token coming back means someone else has a copy
+    if (current.replacedById) {
+      await revokeFamily(prisma, current.familyId);
+    }
+    throw new RefreshTokenError('Refresh token has been revoked');
+  }
+
+  if (current.expiresAt <= new Date()) {
+    throw new RefreshTokenError('Refresh token has expired');
+  }
+
+  if (current.user.status === 'SUSPENDED') {
+    throw new RefreshTokenError('Account is suspended');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    const { token: refreshToken, record } = await createRefreshToken(prisma, current.userId, current.familyId, req);
+
+    // Only the first of two concurrent refreshes wins; the other is reuse
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: current.id, revokedAt: null },
+      data: { revokedAt: new Date(), replacedById: record.id }
+    });
+
+    if (count === 0) {
+      throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    return {
+      user: current.user,
+      token: signAccessToken(current.user),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  });
+};
+
+// End the session a refresh token belongs to
+const revokeSession = async (prisma, token) => {
+  const current = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+
+  if (current) {
+    await revokeFamily(prisma, current.familyId);
+  }
+};
+
+module.exports = {
+  hashToken,
+  RefreshTokenError,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
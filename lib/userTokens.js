@@ -0,0 +1,61 @@
+// Single-use, expiring tokens sent by email (password reset, email verification,
+// email change)
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFICATION: 24 * 60,
+  EMAIL_CHANGE: 24 * 60
+};
+
+// Create a token of `type` for a user, invalidating any unused earlier ones
+// of the same type. `email` records the new address for EMAIL_CHANGE tokens.
+// Returns the raw token to put in the link.
+const createUserToken = async (prisma, userId, type, email = null) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + TTL_MINUTES[type] * 60 * 1000)
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Mark a token used and return its record with the user, or null when it is
+// unknown, of another type, expired or already used
+const consumeUserToken = async (prisma, token, type) => {
+  const record = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: { user: true }
+  });
+
+  if (!record || record.type !== type || record.usedAt || record.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Guard against the same link being used twice at once
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1 ? record : null;
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
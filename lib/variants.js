@@ -0,0 +1,93 @@
+// Helpers for matching a size/color selection against a product's variants
+
+// Find the variant a selection refers to.
+// Products without variants take no selection; products with variants need
+// both a size and a color that match one of their rows.
+// Returns { variant } on success or { error } with a client-facing message.
+const matchVariant = (variants, size, color) => {
+  if (!variants || variants.length === 0) {
+    if (size || color) {
+      return { error: 'This product has no size or color options' };
+    }
+    return { variant: null };
+  }
+
+  if (!size || !color) {
+    return { error: 'Size and color are required for this product' };
+  }
+
+  const variant = variants.find(v => v.size === size && v.color === color);
+  if (!variant) {
+    return { error: `Size ${size} in ${color} is not available for this product` };
+  }
+
+  return { variant };
+};
+
+// Stock available for a selection: the variant's own stock, or the product's
+// when it has no variants
+const availableStock = (product, variant) => {
+  return variant ? variant.stock : product.stock;
+};
+
+// List price for a selection: base price plus the variant's price adjustment
+const listPrice = (product, variant) => {
+  const base = parseFloat(product.price);
+  return variant ? base + parseFloat(variant.priceAdjustment) : base;
+};
+
+// Price actually charged for a selection: the sale price when the product has
+// one below its list price, plus the variant's price adjustment
+const unitPrice = (product, variant) => {
+  const price = parseFloat(product.price);
+  const sale = product.discountPrice !== null && product.discountPrice !== undefined
+    ? parseFloat(product.discountPrice)
+    : NaN;
+  const base = sale < price ? sale : price;
+  return variant ? base + parseFloat(variant.priceAdjustment) : base;
+};
+
+// Variants with their effective price and availability, plus the size and
+// color options that still have stock, for product detail responses
+const describeVariants = (product, variants) => {
+  const described = variants.map(variant => ({
+    ...variant,
+    price: unitPrice(product, variant).toFixed(2),
+    available: variant.stock > 0
+  }));
+
+  const inStock = described.filter(v => v.available);
+
+  return {
+    variants: described,
+    availableSizes: [...new Set(inStock.map(v => v.size))],
+    availableColors: [...new Set(inStock.map(v => v.color))]
+  };
+};
+
+// Keep Product.stock equal to the total of its variants so listings and
+// stock filters stay correct for products sold by size/color. Products left
+// without variants keep their own stock.
+const syncProductStock = async (prisma, productId) => {
+  const { _sum, _count } = await prisma.productVariant.aggregate({
+    where: { productId },
+    _sum: { stock: true },
+    _count: true
+  });
+
+  if (_count === 0) return;
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: { stock: _sum.stock || 0 }
+  });
+};
+
+module.exports = {
+  matchVariant,
+  availableStock,
+  listPrice,
+  unitPrice,
+  describeVariants,
+  syncProductStock
+};
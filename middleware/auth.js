@@ -1,7 +1,5 @@
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('../generated/prisma');
-
-const prisma = new PrismaClient();
+const prisma = require('../lib/prisma');
+const { verifyAccessToken } = require('../lib/tokens');
 
 const auth = async (req, res, next) => {
   try {
@@ -11,15 +9,20 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAccessToken(token);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId }
     });
 
-    if (!user) {
+    // Tokens issued before a logout-everywhere or role change are no longer valid
+    if (!user || decoded.ver !== user.tokenVersion) {
       return res.status(401).json({ error: 'Token is not valid' });
     }
 
+    if (user.status === 'SUSPENDED') {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -27,4 +30,15 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+// For public routes that personalize their output: carries on anonymously
+// when no token is sent, but a token that is sent has to be valid, so a
+// client with an expired session isn't silently treated as a guest
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+module.exports = auth;
+module.exports.optionalAuth = optionalAuth;
\ No newline at end of file
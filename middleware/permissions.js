@@ -0,0 +1,87 @@
+const prisma = require('../lib/prisma');
+const PERMISSIONS = require('../config/permissions');
+
+// Whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  return Boolean(user) && (PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// Allow the request through if the user has one of the given roles.
+// Use after `auth`.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
+// Allow the request through if the user has at least one of the given
+// permissions. Use after `auth`.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => hasPermission(req.user, permission))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
+// Load a resource by URL parameter into req[options.as] and allow the request
+// through if the user may act on any such resource, or owns this one.
+// Options:
+//   model       Prisma model name, e.g. 'product'
+//   param       URL parameter holding the id (default 'id')
+//   ownerField  field holding the owner's user id
+//   any         permission that covers every resource
+//   own         permission that covers resources the user owns
+//   as          request property to store the resource in (default: model)
+//   include     Prisma include for the lookup
+//   notFound    404 message
+const requireOwnership = ({ model, param = 'id', ownerField, any, own, as = model, include, notFound }) => {
+  return async (req, res, next) => {
+    try {
+      if (!hasPermission(req.user, any) && !hasPermission(req.user, own)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const resource = await prisma[model].findUnique({
+        where: { id: req.params[param] },
+        ...(include && { include })
+      });
+
+      if (!resource) {
+        return res.status(404).json({ error: notFound || 'Not found' });
+      }
+
+      if (!hasPermission(req.user, any) && resource[ownerField] !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. You do not own this resource.' });
+      }
+
+      req[as] = resource;
+      next();
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+};
+
+// Product routes act on the product in :id, which sellers must own
+const requireProductOwner = requireOwnership({
+  model: 'product',
+  ownerField: 'sellerId',
+  any: 'products:update:any',
+  own: 'products:update:own',
+  include: {
+    _count: {
+      select: { variants: true }
+    }
+  },
+  notFound: 'Product not found'
+});
+
+module.exports = {
+  hasPermission,
+  requireRole,
+  requirePermission,
+  requireOwnership,
+  requireProductOwner
+};
@@ -0,0 +1,45 @@
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Product" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DECIMAL NOT NULL,
+    "discountPrice" DECIMAL,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "imageUrl" TEXT,
+    "images" TEXT,
+    "categoryId" TEXT NOT NULL,
+    "brand" TEXT,
+    "color" TEXT,
+    "size" TEXT,
+    "material" TEXT,
+    "gender" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "isFeatured" BOOLEAN NOT NULL DEFAULT false,
+    "tags" TEXT,
+    "averageRating" REAL NOT NULL DEFAULT 0,
+    "reviewCount" INTEGER NOT NULL DEFAULT 0,
+    "sellerId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Product_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Product_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_Product" ("brand", "categoryId", "color", "createdAt", "description", "discountPrice", "gender", "id", "imageUrl", "images", "isActive", "isFeatured", "material", "name", "price", "sellerId", "size", "stock", "tags", "updatedAt") SELECT "brand", "categoryId", "color", "createdAt", "description", "discountPrice", "gender", "id", "imageUrl", "images", "isActive", "isFeatured", "material", "name", "price", "sellerId", "size", "stock", "tags", "updatedAt" FROM "Product";
+DROP TABLE "Product";
+ALTER TABLE "new_Product" RENAME TO "Product";
+CREATE INDEX "Product_categoryId_idx" ON "Product"("categoryId");
+CREATE INDEX "Product_gender_idx" ON "Product"("gender");
+CREATE INDEX "Product_brand_idx" ON "Product"("brand");
+CREATE INDEX "Product_isFeatured_idx" ON "Product"("isFeatured");
+CREATE INDEX "Product_averageRating_idx" ON "Product"("averageRating");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Backfill the stored ratings from existing reviews
+UPDATE "Product" SET
+    "averageRating" = coalesce((SELECT avg("rating") FROM "Review" WHERE "Review"."productId" = "Product"."id"), 0),
+    "reviewCount" = (SELECT count(*) FROM "Review" WHERE "Review"."productId" = "Product"."id");
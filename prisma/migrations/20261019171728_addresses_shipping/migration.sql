@@ -0,0 +1,31 @@
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "weight" REAL;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "shippingCity" TEXT;
+ALTER TABLE "Order" ADD COLUMN "shippingName" TEXT;
+ALTER TABLE "Order" ADD COLUMN "shippingPincode" TEXT;
+ALTER TABLE "Order" ADD COLUMN "shippingState" TEXT;
+
+-- CreateTable
+CREATE TABLE "Address" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "label" TEXT,
+    "name" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "line1" TEXT NOT NULL,
+    "line2" TEXT,
+    "city" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "pincode" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Address_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Address_userId_idx" ON "Address"("userId");
+
@@ -0,0 +1,30 @@
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_OrderItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "price" DECIMAL NOT NULL,
+    "size" TEXT,
+    "color" TEXT,
+    "fulfilmentStatus" TEXT NOT NULL DEFAULT 'PENDING',
+    "fulfilledAt" DATETIME,
+    CONSTRAINT "OrderItem_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "OrderItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_OrderItem" ("color", "id", "orderId", "price", "productId", "quantity", "size") SELECT "color", "id", "orderId", "price", "productId", "quantity", "size" FROM "OrderItem";
+DROP TABLE "OrderItem";
+ALTER TABLE "new_OrderItem" RENAME TO "OrderItem";
+CREATE INDEX "OrderItem_orderId_idx" ON "OrderItem"("orderId");
+CREATE INDEX "OrderItem_productId_idx" ON "OrderItem"("productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Items of orders already shipped or delivered start at that step
+UPDATE "OrderItem" SET "fulfilmentStatus" = 'SHIPPED'
+WHERE "orderId" IN (SELECT "id" FROM "Order" WHERE "status" = 'SHIPPED');
+UPDATE "OrderItem" SET "fulfilmentStatus" = 'DELIVERED', "fulfilledAt" = CURRENT_TIMESTAMP
+WHERE "orderId" IN (SELECT "id" FROM "Order" WHERE "status" = 'DELIVERED');
@@ -0,0 +1,92 @@
+
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN "imageKey" TEXT;
+
+-- CreateTable
+CREATE TABLE "ProductImage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "url" TEXT NOT NULL,
+    "thumbnailUrl" TEXT NOT NULL,
+    "storageKey" TEXT,
+    "position" INTEGER NOT NULL,
+    "alt" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ProductImage_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "ProductImage_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- Move existing product images into the gallery: imageUrl first, then the
+-- comma-separated images in order, without duplicates. These were linked by
+-- URL, so they have no storage key and serve as their own thumbnail.
+WITH RECURSIVE "split" ("productId", "url", "rest", "position") AS (
+    SELECT "id", NULL, "images" || ',', 0 FROM "Product" WHERE "images" IS NOT NULL
+    UNION ALL
+    SELECT "productId", trim(substr("rest", 1, instr("rest", ',') - 1)), substr("rest", instr("rest", ',') + 1), "position" + 1
+    FROM "split" WHERE "rest" <> ''
+),
+"urls" ("productId", "url", "position") AS (
+    SELECT "id", trim("imageUrl"), 0 FROM "Product" WHERE trim(coalesce("imageUrl", '')) <> ''
+    UNION ALL
+    SELECT "productId", "url", "position" FROM "split" WHERE "url" <> ''
+)
+INSERT INTO "ProductImage" ("id", "productId", "url", "thumbnailUrl", "position")
+SELECT lower(hex(randomblob(12))), "productId", "url", "url",
+    row_number() OVER (PARTITION BY "productId" ORDER BY min("position")) - 1
+FROM "urls"
+GROUP BY "productId", "url";
+
+-- Keep imageUrl in sync with the first gallery image
+UPDATE "Product" SET "imageUrl" = (
+    SELECT "url" FROM "ProductImage"
+    WHERE "ProductImage"."productId" = "Product"."id" AND "position" = 0
+)
+WHERE "imageUrl" IS NULL;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Product" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DECIMAL NOT NULL,
+    "discountPrice" DECIMAL,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "imageUrl" TEXT,
+    "categoryId" TEXT NOT NULL,
+    "brand" TEXT,
+    "color" TEXT,
+    "size" TEXT,
+    "material" TEXT,
+    "gender" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "isFeatured" BOOLEAN NOT NULL DEFAULT false,
+    "tags" TEXT,
+    "weight" REAL,
+    "averageRating" REAL NOT NULL DEFAULT 0,
+    "reviewCount" INTEGER NOT NULL DEFAULT 0,
+    "sellerId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Product_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Product_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_Product" ("averageRating", "brand", "categoryId", "color", "createdAt", "description", "discountPrice", "gender", "id", "imageUrl", "isActive", "isFeatured", "material", "name", "price", "reviewCount", "sellerId", "size", "stock", "tags", "updatedAt", "weight") SELECT "averageRating", "brand", "categoryId", "color", "createdAt", "description", "discountPrice", "gender", "id", "imageUrl", "isActive", "isFeatured", "material", "name", "price", "reviewCount", "sellerId", "size", "stock", "tags", "updatedAt", "weight" FROM "Product";
+DROP TABLE "Product";
+ALTER TABLE "new_Product" RENAME TO "Product";
+CREATE INDEX "Product_categoryId_idx" ON "Product"("categoryId");
+CREATE INDEX "Product_gender_idx" ON "Product"("gender");
+CREATE INDEX "Product_brand_idx" ON "Product"("brand");
+CREATE INDEX "Product_isFeatured_idx" ON "Product"("isFeatured");
+CREATE INDEX "Product_averageRating_idx" ON "Product"("averageRating");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "ProductImage_productId_position_idx" ON "ProductImage"("productId", "position");
+
+-- CreateIndex
+CREATE INDEX "ProductImage_variantId_idx" ON "ProductImage"("variantId");
+
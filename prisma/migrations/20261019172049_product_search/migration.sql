@@ -0,0 +1,34 @@
+-- Full-text index over product name, description, brand and tags. Prisma
+-- can't model FTS5 tables, so they live only here and are queried with raw
+-- SQL (lib/search.js). The triggers keep the index in step with Product; a
+-- later migration that redefines Product drops them, so it has to recreate
+-- them and rebuild the index.
+
+-- CreateVirtualTable
+CREATE VIRTUAL TABLE "ProductSearch" USING fts5(
+    name, description, brand, tags,
+    content='Product', content_rowid='rowid', tokenize='porter unicode61'
+);
+
+-- CreateTrigger
+CREATE TRIGGER "Product_search_insert" AFTER INSERT ON "Product" BEGIN
+    INSERT INTO "ProductSearch"(rowid, name, description, brand, tags)
+    VALUES (new.rowid, new.name, new.description, new.brand, new.tags);
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "Product_search_delete" AFTER DELETE ON "Product" BEGIN
+    INSERT INTO "ProductSearch"("ProductSearch", rowid, name, description, brand, tags)
+    VALUES ('delete', old.rowid, old.name, old.description, old.brand, old.tags);
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "Product_search_update" AFTER UPDATE OF name, description, brand, tags ON "Product" BEGIN
+    INSERT INTO "ProductSearch"("ProductSearch", rowid, name, description, brand, tags)
+    VALUES ('delete', old.rowid, old.name, old.description, old.brand, old.tags);
+    INSERT INTO "ProductSearch"(rowid, name, description, brand, tags)
+    VALUES (new.rowid, new.name, new.description, new.brand, new.tags);
+END;
+
+-- Index the products that already exist
+INSERT INTO "ProductSearch"("ProductSearch") VALUES ('rebuild');
@@ -0,0 +1,22 @@
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "emailVerifiedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "UserToken" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "usedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "UserToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserToken_tokenHash_key" ON "UserToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "UserToken_userId_type_idx" ON "UserToken"("userId", "type");
+
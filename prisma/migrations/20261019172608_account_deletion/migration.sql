@@ -0,0 +1,7 @@
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "UserToken" ADD COLUMN "email" TEXT;
+
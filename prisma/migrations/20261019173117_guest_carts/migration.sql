@@ -0,0 +1,43 @@
+
+-- CreateTable
+CREATE TABLE "GuestCart" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CartItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "guestCartId" TEXT,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "size" TEXT,
+    "color" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CartItem_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "CartItem_guestCartId_fkey" FOREIGN KEY ("guestCartId") REFERENCES "GuestCart" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "CartItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_CartItem" ("color", "createdAt", "id", "productId", "quantity", "size", "updatedAt", "userId") SELECT "color", "createdAt", "id", "productId", "quantity", "size", "updatedAt", "userId" FROM "CartItem";
+DROP TABLE "CartItem";
+ALTER TABLE "new_CartItem" RENAME TO "CartItem";
+CREATE INDEX "CartItem_userId_idx" ON "CartItem"("userId");
+CREATE INDEX "CartItem_guestCartId_idx" ON "CartItem"("guestCartId");
+CREATE UNIQUE INDEX "CartItem_userId_productId_size_color_key" ON "CartItem"("userId", "productId", "size", "color");
+CREATE UNIQUE INDEX "CartItem_guestCartId_productId_size_color_key" ON "CartItem"("guestCartId", "productId", "size", "color");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestCart_tokenHash_key" ON "GuestCart"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "GuestCart_expiresAt_idx" ON "GuestCart"("expiresAt");
+
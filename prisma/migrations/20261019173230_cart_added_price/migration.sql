@@ -0,0 +1,4 @@
+
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN "addedPrice" DECIMAL;
+
@@ -0,0 +1,66 @@
+
+-- CreateTable
+CREATE TABLE "InvoiceSequence" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Order" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "total" DECIMAL NOT NULL,
+    "discount" DECIMAL NOT NULL DEFAULT 0,
+    "shipping" DECIMAL NOT NULL DEFAULT 0,
+    "tax" DECIMAL NOT NULL DEFAULT 0,
+    "taxIncluded" BOOLEAN NOT NULL DEFAULT true,
+    "couponCode" TEXT,
+    "invoiceNumber" TEXT,
+    "invoicedAt" DATETIME,
+    "shippingName" TEXT,
+    "shippingAddress" TEXT,
+    "shippingCity" TEXT,
+    "shippingState" TEXT,
+    "shippingPincode" TEXT,
+    "phone" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Order_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_Order" ("couponCode", "createdAt", "discount", "id", "phone", "shipping", "shippingAddress", "shippingCity", "shippingName", "shippingPincode", "shippingState", "status", "total", "updatedAt", "userId") SELECT "couponCode", "createdAt", "discount", "id", "phone", "shipping", "shippingAddress", "shippingCity", "shippingName", "shippingPincode", "shippingState", "status", "total", "updatedAt", "userId" FROM "Order";
+DROP TABLE "Order";
+ALTER TABLE "new_Order" RENAME TO "Order";
+CREATE UNIQUE INDEX "Order_invoiceNumber_key" ON "Order"("invoiceNumber");
+CREATE INDEX "Order_userId_idx" ON "Order"("userId");
+CREATE TABLE "new_OrderItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "price" DECIMAL NOT NULL,
+    "size" TEXT,
+    "color" TEXT,
+    "fulfilmentStatus" TEXT NOT NULL DEFAULT 'PENDING',
+    "fulfilledAt" DATETIME,
+    "taxRate" REAL NOT NULL DEFAULT 0,
+    "taxableValue" DECIMAL NOT NULL DEFAULT 0,
+    "cgst" DECIMAL NOT NULL DEFAULT 0,
+    "sgst" DECIMAL NOT NULL DEFAULT 0,
+    "igst" DECIMAL NOT NULL DEFAULT 0,
+    CONSTRAINT "OrderItem_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "OrderItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_OrderItem" ("color", "fulfilledAt", "fulfilmentStatus", "id", "orderId", "price", "productId", "quantity", "size") SELECT "color", "fulfilledAt", "fulfilmentStatus", "id", "orderId", "price", "productId", "quantity", "size" FROM "OrderItem";
+DROP TABLE "OrderItem";
+ALTER TABLE "new_OrderItem" RENAME TO "OrderItem";
+CREATE INDEX "OrderItem_orderId_idx" ON "OrderItem"("orderId");
+CREATE INDEX "OrderItem_productId_idx" ON "OrderItem"("productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Orders placed before tax was recorded charged none, so each line's whole
+-- amount is its taxable value
+UPDATE "OrderItem" SET "taxableValue" = "price" * "quantity";
@@ -0,0 +1,28 @@
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Category" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "imageUrl" TEXT,
+    "imageKey" TEXT,
+    "parentId" TEXT,
+    "gender" TEXT,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Category_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Category" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Category" ("createdAt", "description", "gender", "id", "imageKey", "imageUrl", "name", "parentId", "slug", "updatedAt") SELECT "createdAt", "description", "gender", "id", "imageKey", "imageUrl", "name", "parentId", "slug", "updatedAt" FROM "Category";
+DROP TABLE "Category";
+ALTER TABLE "new_Category" RENAME TO "Category";
+CREATE UNIQUE INDEX "Category_name_key" ON "Category"("name");
+CREATE UNIQUE INDEX "Category_slug_key" ON "Category"("slug");
+CREATE INDEX "Category_parentId_idx" ON "Category"("parentId");
+CREATE INDEX "Category_gender_idx" ON "Category"("gender");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
@@ -0,0 +1,13 @@
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "carrier" TEXT;
+ALTER TABLE "Order" ADD COLUMN "deliveredAt" DATETIME;
+ALTER TABLE "Order" ADD COLUMN "shippedAt" DATETIME;
+ALTER TABLE "Order" ADD COLUMN "trackingNumber" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Order_status_idx" ON "Order"("status");
+
+-- CreateIndex
+CREATE INDEX "Order_createdAt_idx" ON "Order"("createdAt");
+
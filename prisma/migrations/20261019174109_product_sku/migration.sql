@@ -0,0 +1,7 @@
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "sku" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_sellerId_sku_key" ON "Product"("sellerId", "sku");
+
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shared by create and update; `optional` relaxes the required fields for PUT
+const addressValidation = (optional) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    body('label').optional({ nullable: true }).isString().trim(),
+    required(body('name')).isString().trim().notEmpty().withMessage('Recipient name is required'),
+    required(body('phone')).matches(/^\+?\d{10,15}$/).withMessage('Please provide a valid phone number'),
+    required(body('line1')).isString().trim().notEmpty().withMessage('Address line 1 is required'),
+    body('line2').optional({ nullable: true }).isString().trim(),
+    required(body('city')).isString().trim().notEmpty().withMessage('City is required'),
+    required(body('state')).isString().trim().notEmpty().withMessage('State is required'),
+    required(body('pincode')).matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+    body('isDefault').optional().isBoolean().toBoolean()
+  ];
+};
+
+const addressFields = ['label', 'name', 'phone', 'line1', 'line2', 'city', 'state', 'pincode'];
+
+const pickAddress = (input) => {
+  const data = {};
+  for (const field of addressFields) {
+    if (input[field] !== undefined) data[field] = input[field];
+  }
+  return data;
+};
+
+// GET /api/addresses - List user's saved addresses, default first
+router.get('/', auth, async (req, res) => {
+  try {
+    const addresses = await prisma.address.findMany({
+      where: { userId: req.user.id },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json(addresses);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/addresses - Add an address (the first one becomes the default)
+router.post('/', auth, addressValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await prisma.$transaction(async (prisma) => {
+      const count = await prisma.address.count({ where: { userId: req.user.id } });
+      const isDefault = count === 0 || req.body.isDefault === true;
+
+      if (isDefault) {
+        await prisma.address.updateMany({
+          where: { userId: req.user.id },
+          data: { isDefault: false }
+        });
+      }
+
+      return prisma.address.create({
+        data: {
+          ...pickAddress(req.body),
+          userId: req.user.id,
+          isDefault
+        }
+      });
+    });
+
+    res.status(201).json(address);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/addresses/:id - Update an address
+router.put('/:id', auth, addressValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.address.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const address = await prisma.$transaction(async (prisma) => {
+      if (req.body.isDefault === true) {
+        await prisma.address.updateMany({
+          where: { userId: req.user.id, id: { not: existing.id } },
+          data: { isDefault: false }
+        });
+      }
+
+      return prisma.address.update({
+        where: { id: existing.id },
+        data: {
+          ...pickAddress(req.body),
+          // The default can only be moved, not cleared, so there is always one
+          ...(req.body.isDefault === true && { isDefault: true })
+        }
+      });
+    });
+
+    res.json(address);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/addresses/:id/default - Make an address the default
+router.put('/:id/default', auth, async (req, res) => {
+  try {
+    const existing = await prisma.address.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const [, address] = await prisma.$transaction([
+      prisma.address.updateMany({
+        where: { userId: req.user.id },
+        data: { isDefault: false }
+      }),
+      prisma.address.update({
+        where: { id: existing.id },
+        data: { isDefault: true }
+      })
+    ]);
+
+    res.json(address);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/addresses/:id - Delete an address
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const existing = await prisma.address.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    await prisma.$transaction(async (prisma) => {
+      await prisma.address.delete({ where: { id: existing.id } });
+
+      // Promote the oldest remaining address when the default is removed
+      if (existing.isDefault) {
+        const next = await prisma.address.findFirst({
+          where: { userId: req.user.id },
+          orderBy: { createdAt: 'asc' }
+        });
+
+        if (next) {
+          await prisma.address.update({
+            where: { id: next.id },
+            data: { isDefault: true }
+          });
+        }
+      }
+    });
+
+    res.json({ message: 'Address deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
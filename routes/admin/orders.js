@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../../lib/prisma');
+const auth = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
+const { TRANSITIONS, OrderConflictError, InvalidTransitionError } = require('../../lib/orderStatus');
+const { changeOrderStatus } = require('../../lib/orders');
+const { toCsv } = require('../../lib/csv');
+
+const router = express.Router();
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Most orders a single bulk update may touch
+const BULK_LIMIT = 100;
+
+router.use(auth, requirePermission('orders:manage:any'));
+
+const customerSelect = {
+  select: { id: true, name: true, email: true }
+};
+
+// A date-only `to` covers the whole of that day
+const endOf = (value) => {
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1)
+    : date;
+};
+
+// Prisma `where` for the list filters, shared by the list and the CSV export.
+// Returns { where } or { error } for a filter that doesn't make sense.
+const orderFilters = (query) => {
+  const { status, from, to, userId, customer, sellerId, minTotal, maxTotal } = query;
+
+  const statuses = status ? String(status).toUpperCase().split(',').map(s => s.trim()) : [];
+  const invalid = statuses.find(s => !STATUSES.includes(s));
+  if (invalid) {
+    return { error: `Unknown status ${invalid}` };
+  }
+
+  const start = from ? new Date(from) : null;
+  const end = to ? endOf(to) : null;
+  if ((start && isNaN(start)) || (end && isNaN(end))) {
+    return { error: 'Invalid date range' };
+  }
+
+  const min = minTotal !== undefined ? parseFloat(minTotal) : null;
+  const max = maxTotal !== undefined ? parseFloat(maxTotal) : null;
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    return { error: 'Invalid total range' };
+  }
+
+  return {
+    where: {
+      ...(statuses.length && { status: { in: statuses } }),
+      ...((start || end) && {
+        createdAt: {
+          ...(start && { gte: start }),
+          ...(end && { lte: end })
+        }
+      }),
+      ...(userId && { userId }),
+      ...(customer && {
+        user: {
+          OR: [
+            { name: { contains: customer } },
+            { email: { contains: customer } }
+          ]
+        }
+      }),
+      // Orders with at least one of this seller's products
+      ...(sellerId && {
+        orderItems: {
+          some: { product: { sellerId } }
+        }
+      }),
+      ...((min !== null || max !== null) && {
+        total: {
+          ...(min !== null && { gte: min }),
+          ...(max !== null && { lte: max })
+        }
+      })
+    }
+  };
+};
+
+const orderDetail = (id) => {
+  return prisma.order.findUnique({
+    where: { id },
+    include: {
+      user: customerSelect,
+      orderItems: {
+        include: {
+          product: {
+            select: { id: true, name: true, imageUrl: true, sellerId: true }
+          }
+        }
+      },
+      statusHistory: {
+        orderBy: { createdAt: 'asc' }
+      },
+      payments: {
+        include: { refunds: true }
+      }
+    }
+  });
+};
+
+// GET /api/admin/orders - List every order
+// Filters: status (comma-separated for several), from, to, userId, customer
+// (name or email), sellerId, minTotal, maxTotal
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const { where, error } = orderFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: {
+          user: customerSelect,
+          _count: {
+            select: { orderItems: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    res.json({
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/admin/orders/export - Download the orders matching the list filters as CSV
+router.get('/export', async (req, res) => {
+  try {
+    const { where, error } = orderFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const orders = await prisma.order.findMany({
+      where,
+      include: {
+        user: customerSelect,
+        orderItems: {
+          select: { quantity: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const csv = toCsv([
+      ['Order ID', order => order.id],
+      ['Created', order => order.createdAt],
+      ['Status', order => order.status],
+      ['Customer', order => order.user.name],
+      ['Email', order => order.user.email],
+      ['Units', order => order.orderItems.reduce((sum, item) => sum + item.quantity, 0)],
+      ['Discount', order => order.discount],
+      ['Shipping', order => order.shipping],
+      ['Tax', order => order.tax],
+      ['Total', order => order.total],
+      ['Coupon', order => order.couponCode],
+      ['City', order => order.shippingCity],
+      ['State', order => order.shippingState],
+      ['Pincode', order => order.shippingPincode],
+      ['Carrier', order => order.carrier],
+      ['Tracking number', order => order.trackingNumber],
+      ['Shipped', order => order.shippedAt],
+      ['Delivered', order => order.deliveredAt],
+      ['Invoice', order => order.invoiceNumber]
+    ], orders);
+
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/admin/orders/bulk/status - Move several orders to the same status
+// Each order is changed on its own; the response says which ones were refused.
+router.post('/bulk/status',
+  [
+    body('orderIds').isArray({ min: 1, max: BULK_LIMIT })
+      .withMessage(`orderIds must list between 1 and ${BULK_LIMIT} orders`),
+    body('orderIds.*').isString(),
+    body('status').isIn(STATUSES).withMessage('Invalid order status'),
+    body('note').optional().isString().trim(),
+    body('carrier').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, note, carrier } = req.body;
+      const orderIds = [...new Set(req.body.orderIds)];
+
+      const orders = await prisma.order.findMany({
+        where: { id: { in: orderIds } }
+      });
+      const orderById = new Map(orders.map(order => [order.id, order]));
+
+      const results = [];
+      for (const id of orderIds) {
+        const order = orderById.get(id);
+        if (!order) {
+          results.push({ id, updated: false, error: 'Order not found' });
+          continue;
+        }
+
+        try {
+          await changeOrderStatus(prisma, order, status, {
+            actorId: req.user.id,
+            note,
+            shipment: carrier !== undefined ? { carrier } : null
+          });
+          results.push({ id, updated: true });
+        } catch (error) {
+          if (!(error instanceof InvalidTransitionError) && !(error instanceof OrderConflictError)) {
+            throw error;
+          }
+          results.push({ id, updated: false, error: error.message });
+        }
+      }
+
+      res.json({
+        updated: results.filter(result => result.updated).length,
+        failed: results.filter(result => !result.updated).length,
+        results
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// GET /api/admin/orders/:id - Any order with its customer, items, history and payments
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await orderDetail(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/admin/orders/:id/status - Change an order's status
+router.put('/:id/status',
+  [
+    body('status').isIn(STATUSES).withMessage('Invalid order status'),
+    body('note').optional().isString().trim(),
+    body('carrier').optional().isString().trim(),
+    body('trackingNumber').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const { status, note, carrier, trackingNumber } = req.body;
+
+      try {
+        await changeOrderStatus(prisma, order, status, {
+          actorId: req.user.id,
+          note,
+          shipment: {
+            ...(carrier !== undefined && { carrier }),
+            ...(trackingNumber !== undefined && { trackingNumber })
+          }
+        });
+      } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+          return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof OrderConflictError) {
+          return res.status(409).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      res.json(await orderDetail(order.id));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/admin/orders/:id/shipment - Set or correct carrier, tracking number
+// and shipped/delivered times
+router.put('/:id/shipment',
+  [
+    body('carrier').optional({ nullable: true }).isString().trim(),
+    body('trackingNumber').optional({ nullable: true }).isString().trim(),
+    body('shippedAt').optional({ nullable: true }).isISO8601().withMessage('Shipped date must be a valid date'),
+    body('deliveredAt').optional({ nullable: true }).isISO8601().withMessage('Delivered date must be a valid date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const { carrier, trackingNumber, shippedAt, deliveredAt } = req.body;
+      const date = (value) => (value === null ? null : new Date(value));
+
+      const data = {
+        ...(carrier !== undefined && { carrier }),
+        ...(trackingNumber !== undefined && { trackingNumber }),
+        ...(shippedAt !== undefined && { shippedAt: date(shippedAt) }),
+        ...(deliveredAt !== undefined && { deliveredAt: date(deliveredAt) })
+      };
+
+      const shipped = data.shippedAt !== undefined ? data.shippedAt : order.shippedAt;
+      const delivered = data.deliveredAt !== undefined ? data.deliveredAt : order.deliveredAt;
+      if (shipped && delivered && delivered < shipped) {
+        return res.status(400).json({ error: 'Delivery cannot be before shipment' });
+      }
+
+      await prisma.order.update({
+        where: { id: order.id },
+        data
+      });
+
+      res.json(await orderDetail(order.id));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../../lib/prisma');
+const auth = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('sellers:approve'));
+
+// Mark a pending application reviewed; returns null if someone got there first
+const reviewApplication = async (prisma, id, status, reviewerId, note) => {
+  const { count } = await prisma.sellerApplication.updateMany({
+    where: { id, status: 'PENDING' },
+    data: {
+      status,
+      reviewNote: note || null,
+      reviewedById: reviewerId,
+      reviewedAt: new Date()
+    }
+  });
+
+  if (count === 0) return null;
+
+  return prisma.sellerApplication.findUnique({ where: { id } });
+};
+
+// GET /api/admin/sellers/applications - List seller applications, pending first by default
+router.get('/applications', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'PENDING' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(status !== 'all' && { status: status.toUpperCase() })
+    };
+
+    const [applications, total] = await Promise.all([
+      prisma.sellerApplication.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, email: true, name: true, role: true, status: true }
+          },
+          reviewedBy: {
+            select: { id: true, name: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.sellerApplication.count({ where })
+    ]);
+
+    res.json({
+      applications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/admin/sellers/applications/:id/approve - Approve an application and make the applicant a seller
+router.put('/applications/:id/approve',
+  [
+    body('note').optional({ nullable: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const application = await prisma.$transaction(async (prisma) => {
+        const reviewed = await reviewApplication(prisma, req.params.id, 'APPROVED', req.user.id, req.body.note);
+        if (!reviewed) return null;
+
+        // Leave admins as they are; the version bump picks up the new role on refresh
+        await prisma.user.updateMany({
+          where: { id: reviewed.userId, role: 'CUSTOMER' },
+          data: {
+            role: 'SELLER',
+            tokenVersion: { increment: 1 }
+          }
+        });
+
+        return reviewed;
+      });
+
+      if (!application) {
+        return res.status(404).json({ error: 'Pending application not found' });
+      }
+
+      res.json(application);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/admin/sellers/applications/:id/reject - Reject an application with a reason
+router.put('/applications/:id/reject',
+  [
+    body('note').isString().trim().notEmpty().withMessage('A reason for the rejection is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const application = await reviewApplication(prisma, req.params.id, 'REJECTED', req.user.id, req.body.note);
+
+      if (!application) {
+        return res.status(404).json({ error: 'Pending application not found' });
+      }
+
+      res.json(application);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../../lib/prisma');
+const auth = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
+const { revokeAllSessions } = require('../../lib/tokens');
+
+const router = express.Router();
+
+const ROLES = ['CUSTOMER', 'SELLER', 'ADMIN'];
+
+// Never send password hashes or token versions back
+const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  status: true,
+  suspendedAt: true,
+  suspensionReason: true,
+  emailVerifiedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+router.use(auth, requirePermission('users:manage'));
+
+// Admins can't lock themselves out by demoting or suspending their own account
+const notSelf = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own account here' });
+  }
+  next();
+};
+
+// GET /api/admin/users - Search users by name or email, filter by role and status
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(role && { role: role.toUpperCase() }),
+      ...(status && { status: status.toUpperCase() }),
+      ...(search && {
+        OR: [
+          { name: { contains: search } },
+          { email: { contains: search } }
+        ]
+      })
+    };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: userSelect,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/admin/users/:id - User details with activity counts
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: {
+        ...userSelect,
+        _count: {
+          select: { orders: true, products: true, reviews: true }
+        },
+        sellerApplications: {
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change a user's role
+router.put('/:id/role',
+  notSelf,
+  [
+    body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await prisma.user.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (existing.role === req.body.role) {
+        return res.status(400).json({ error: `User is already ${req.body.role}` });
+      }
+
+      // Bumping the version makes current access tokens stale, so the new
+      // permissions apply on the user's next refresh
+      const user = await prisma.user.update({
+        where: { id: existing.id },
+        data: {
+          role: req.body.role,
+          tokenVersion: { increment: 1 }
+        },
+        select: userSelect
+      });
+
+      res.json(user);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/admin/users/:id/suspend - Suspend a user and end all their sessions
+router.put('/:id/suspend',
+  notSelf,
+  [
+    body('reason').optional({ nullable: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await prisma.user.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (existing.status === 'SUSPENDED') {
+        return res.status(400).json({ error: 'User is already suspended' });
+      }
+
+      await prisma.user.update({
+        where: { id: existing.id },
+        data: {
+          status: 'SUSPENDED',
+          suspendedAt: new Date(),
+          suspensionReason: req.body.reason || null
+        }
+      });
+      await revokeAllSessions(prisma, existing.id);
+
+      const user = await prisma.user.findUnique({
+        where: { id: existing.id },
+        select: userSelect
+      });
+
+      res.json(user);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/admin/users/:id/reactivate - Lift a suspension
+router.put('/:id/reactivate', notSelf, async (req, res) => {
+  try {
+    const existing = await prisma.user.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (existing.status !== 'SUSPENDED') {
+      return res.status(400).json({ error: 'User is not suspended' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: existing.id },
+      data: {
+        status: 'ACTIVE',
+        suspendedAt: null,
+        suspensionReason: null
+      },
+      select: userSelect
+    });
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { issueSession, rotateSession, revokeSession, revokeAllSessions, RefreshTokenError } = require('../lib/tokens');
+const { createUserToken, consumeUserToken } = require('../lib/userTokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../lib/emails');
+const { mergeGuestCart } = require('../lib/guestCarts');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+
+// Fold the guest cart named by X-Cart-Token (or `cartToken` in the body) into
+// the user's cart. Signing in still succeeds if this fails.
+const mergeCart = async (req, user) => {
+  const token = req.get('X-Cart-Token') || req.body.cartToken;
+  if (!token) return null;
+
+  try {
+    return await mergeGuestCart(prisma, token, user.id);
+  } catch (error) {
+    console.error('Failed to merge guest cart', error);
+    return null;
+  }
+};
 
 // POST /api/auth/register - Register new user
 router.post('/register', [
@@ -44,21 +60,29 @@ router.post('/register', [
       }
     });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Ask the user to confirm the address; registration succeeds even if
+    // the email can't be sent, since it can be resent later
+    try {
+      const verificationToken = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION');
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Failed to send verification email', error);
+    }
+
+    // Generate access and refresh tokens
+    const session = await issueSession(prisma, user, req);
+    const cartMerge = await mergeCart(req, user);
 
     res.status(201).json({
-      token,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
-      }
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
+      },
+      ...(cartMerge && { cartMerge })
     });
   } catch (error) {
     console.error(error);
@@ -94,21 +118,24 @@ router.post('/login', [
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    if (user.status === 'SUSPENDED') {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+
+    // Generate access and refresh tokens
+    const session = await issueSession(prisma, user, req);
+    const cartMerge = await mergeCart(req, user);
 
     res.json({
-      token,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
-      }
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
+      },
+      ...(cartMerge && { cartMerge })
     });
   } catch (error) {
     console.error(error);
@@ -124,9 +151,220 @@ router.get('/me', auth, async (req, res) => {
         id: req.user.id,
         email: req.user.email,
         name: req.user.name,
-        role: req.user.role
+        role: req.user.role,
+        emailVerified: Boolean(req.user.emailVerifiedAt)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user, ...session } = await rotateSession(prisma, req.body.refreshToken, req);
+
+    res.json({
+      ...session,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
+      }
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout - End the session a refresh token belongs to
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeSession(prisma, req.body.refreshToken);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout-all - Log out of every device
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(prisma, req.user.id);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user) {
+      const token = await createUserToken(prisma, user.id, 'PASSWORD_RESET');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    // Same answer either way so the endpoint can't be used to find accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await consumeUserToken(prisma, req.body.token, 'PASSWORD_RESET');
+    if (!record) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        password: hashedPassword,
+        // Receiving the email proves the address too
+        ...(!record.user.emailVerifiedAt && { emailVerifiedAt: new Date() })
       }
     });
+
+    // Whoever had the old password should not stay logged in
+    await revokeAllSessions(prisma, record.userId);
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/auth/password - Change password
+router.put('/password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isMatch = await bcrypt.compare(req.body.currentPassword, req.user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(req.body.newPassword, salt);
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { password: hashedPassword }
+    });
+
+    // Log out other devices and hand this one a fresh session
+    await revokeAllSessions(prisma, req.user.id);
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    const session = await issueSession(prisma, user, req);
+
+    res.json({
+      message: 'Password changed',
+      ...session
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address using a verification token
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await consumeUserToken(prisma, req.body.token, 'EMAIL_VERIFICATION');
+    if (!record) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const token = await createUserToken(prisma, req.user.id, 'EMAIL_VERIFICATION');
+    await sendVerificationEmail(req.user, token);
+
+    res.json({ message: 'Verification email sent' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
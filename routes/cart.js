@@ -1,33 +1,100 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const { matchVariant, unitPrice } = require('../lib/variants');
+const { loadCartLines, subtotalOf, heldQuantities, availableToOwner, reviewCartLines, priceCart } = require('../lib/cart');
+const { evaluateCoupon } = require('../lib/coupons');
+const { createGuestCart, findGuestCart, touchGuestCart } = require('../lib/guestCarts');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
-// GET /api/cart - Get user's cart
-router.get('/', auth, async (req, res) => {
+// Work out whose cart this is: the signed-in user's, or the guest cart named
+// by the X-Cart-Token header. req.cartOwner is null when there is no cart yet.
+const resolveCart = async (req, res, next) => {
   try {
-    const cartItems = await prisma.cartItem.findMany({
-      where: { userId: req.user.id },
-      include: {
-        product: {
-          include: {
-            category: true
-          }
-        }
+    if (req.user) {
+      req.cartOwner = { userId: req.user.id };
+      return next();
+    }
+
+    req.guestCart = await findGuestCart(prisma, req.get('X-Cart-Token'));
+    req.cartOwner = req.guestCart ? { guestCartId: req.guestCart.id } : null;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+router.use(optionalAuth, resolveCart);
+
+// GET /api/cart - Get the cart checked against current stock and prices, with totals
+// Signed-in shoppers may pass ?couponCode= to preview a discount; shipping and
+// tax are estimated for ?pincode= and ?state=, or the user's default address
+router.get('/', async (req, res) => {
+  try {
+    const lines = req.cartOwner ? await loadCartLines(prisma, req.cartOwner) : [];
+    const { purchasable } = await reviewCartLines(prisma, lines);
+
+    let coupon = null;
+    let discount = 0;
+    if (req.query.couponCode && req.user && purchasable.length > 0) {
+      const evaluation = await evaluateCoupon(prisma, req.query.couponCode, req.user.id, purchasable);
+      if (evaluation.error) {
+        coupon = { code: req.query.couponCode, error: evaluation.error };
+      } else {
+        discount = evaluation.discount;
+        coupon = {
+          code: evaluation.coupon.code,
+          description: evaluation.coupon.description,
+          discount: discount.toFixed(2)
+        };
       }
-    });
+    }
 
-    const total = cartItems.reduce((sum, item) => {
-      return sum + (parseFloat(item.product.price) * item.quantity);
-    }, 0);
+    let { pincode, state } = req.query;
+    if (!pincode && req.user) {
+      const address = await prisma.address.findFirst({
+        where: { userId: req.user.id, isDefault: true }
+      });
+      if (address) {
+        ({ pincode, state } = address);
+      }
+    }
+
+    const { subtotal, shipping, tax, total } = priceCart({ lines: purchasable, discount, pincode, state });
+    const taxOf = (field) => tax.lines.reduce((sum, line) => sum + line[field], 0).toFixed(2);
+
+    const items = lines.map(line => ({
+      ...line.item,
+      quantity: line.quantity,
+      product: line.product,
+      variant: line.variant,
+      unitPrice: line.price.toFixed(2),
+      lineTotal: (line.price * line.quantity).toFixed(2),
+      available: line.available,
+      warnings: line.warnings
+    }));
 
     res.json({
-      items: cartItems,
+      items,
+      warnings: lines.flatMap(line => line.warnings.map(warning => ({ cartItemId: line.item.id, ...warning }))),
+      coupon,
+      summary: {
+        subtotal: subtotal.toFixed(2),
+        discount: discount.toFixed(2),
+        shipping: shipping ? shipping.fee.toFixed(2) : null,
+        shippingZone: shipping ? shipping.zone : null,
+        freeShipping: shipping ? shipping.freeShipping : null,
+        tax: tax.amount.toFixed(2),
+        taxSplit: state ? { cgst: taxOf('cgst'), sgst: taxOf('sgst'), igst: taxOf('igst') } : null,
+        taxIncluded: tax.included,
+        total: total.toFixed(2)
+      },
       total: total.toFixed(2),
-      itemCount: cartItems.reduce((sum, item) => sum + item.quantity, 0)
+      itemCount: purchasable.reduce((sum, line) => sum + line.quantity, 0)
     });
   } catch (error) {
     console.error(error);
@@ -35,12 +102,82 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// POST /api/cart - Add item to cart
-router.post('/',
+// POST /api/cart/coupon - Preview the savings a coupon gives on the current cart
+router.post('/coupon',
   auth,
+  [
+    body('code').notEmpty().withMessage('Coupon code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const lines = await loadCartLines(prisma, { userId: req.user.id });
+      if (lines.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+
+      // Price only what can be bought, as the cart itself does
+      const { purchasable } = await reviewCartLines(prisma, lines);
+      if (purchasable.length === 0) {
+        return res.status(400).json({ error: 'None of the items in your cart can be bought right now' });
+      }
+
+      const subtotal = subtotalOf(purchasable);
+      const { coupon, discount, eligibleSubtotal, error } =
+        await evaluateCoupon(prisma, req.body.code, req.user.id, purchasable);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({
+        code: coupon.code,
+        description: coupon.description,
+        subtotal: subtotal.toFixed(2),
+        eligibleSubtotal: eligibleSubtotal.toFixed(2),
+        discount: discount.toFixed(2),
+        total: (subtotal - discount).toFixed(2)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// POST /api/cart/accept-prices - Accept the current prices of every line, clearing PRICE_CHANGED warnings
+router.post('/accept-prices', async (req, res) => {
+  try {
+    const lines = req.cartOwner ? await loadCartLines(prisma, req.cartOwner) : [];
+    const changed = lines.filter(({ item, price }) =>
+      item.addedPrice === null || Math.abs(parseFloat(item.addedPrice) - price) >= 0.01
+    );
+
+    await prisma.$transaction(changed.map(({ item, price }) =>
+      prisma.cartItem.update({
+        where: { id: item.id },
+        data: { addedPrice: price }
+      })
+    ));
+
+    res.json({ message: 'Prices accepted', updated: changed.length });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/cart - Add item to cart; guests without a cart get a new cart token
+router.post('/',
   [
     body('productId').notEmpty().withMessage('Product ID is required'),
-    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('size').optional({ nullable: true }).isString().trim(),
+    body('color').optional({ nullable: true }).isString().trim()
   ],
   async (req, res) => {
     try {
@@ -50,37 +187,59 @@ router.post('/',
       }
 
       const { productId, quantity } = req.body;
+      const size = req.body.size || null;
+      const color = req.body.color || null;
 
-      // Check if product exists and has enough stock
+      // Check if product exists and the selected variant is valid
       const product = await prisma.product.findUnique({
-        where: { id: productId }
+        where: { id: productId },
+        include: { variants: true }
       });
 
-      if (!product) {
+      if (!product || !product.isActive) {
         return res.status(404).json({ error: 'Product not found' });
       }
 
-      if (product.stock < quantity) {
-        return res.status(400).json({ error: 'Insufficient stock' });
+      const { variant, error } = matchVariant(product.variants, size, color);
+      if (error) {
+        return res.status(400).json({ error });
       }
 
-      // Check if item already in cart
-      const existingCartItem = await prisma.cartItem.findUnique({
+      // Check if the same selection is already in cart. SQLite treats NULLs
+      // as distinct in unique indexes, so look it up with findFirst.
+      const existingCartItem = req.cartOwner && await prisma.cartItem.findFirst({
         where: {
-          userId_productId: {
-            userId: req.user.id,
-            productId
-          }
+          ...req.cartOwner,
+          productId,
+          size,
+          color
         }
       });
 
+      const newQuantity = (existingCartItem ? existingCartItem.quantity : 0) + quantity;
+      const held = await heldQuantities(prisma, req.cartOwner && req.cartOwner.userId);
+      const available = availableToOwner(product, variant, held);
+      if (available < newQuantity) {
+        return res.status(400).json({ error: 'Insufficient stock', available });
+      }
+
+      // Only now that the item can be added does a guest get a cart
+      let cartToken;
+      if (!req.cartOwner) {
+        const guest = await createGuestCart(prisma);
+        cartToken = guest.token;
+        req.cartOwner = { guestCartId: guest.cart.id };
+      } else if (req.guestCart) {
+        await touchGuestCart(prisma, req.guestCart);
+      }
+
       let cartItem;
 
       if (existingCartItem) {
-        // Update quantity
+        // Update quantity; adding more is buying at today's price
         cartItem = await prisma.cartItem.update({
           where: { id: existingCartItem.id },
-          data: { quantity: existingCartItem.quantity + quantity },
+          data: { quantity: newQuantity, addedPrice: unitPrice(product, variant) },
           include: {
             product: true
           }
@@ -89,9 +248,12 @@ router.post('/',
         // Create new cart item
         cartItem = await prisma.cartItem.create({
           data: {
-            userId: req.user.id,
+            ...req.cartOwner,
             productId,
-            quantity
+            quantity,
+            size,
+            color,
+            addedPrice: unitPrice(product, variant)
           },
           include: {
             product: true
@@ -99,7 +261,11 @@ router.post('/',
         });
       }
 
-      res.status(201).json(cartItem);
+      res.status(201).json({
+        ...cartItem,
+        unitPrice: unitPrice(product, variant).toFixed(2),
+        ...(cartToken && { cartToken })
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Server error' });
@@ -107,11 +273,12 @@ router.post('/',
   }
 );
 
-// PUT /api/cart/:id - Update cart item quantity
+// PUT /api/cart/:id - Update cart item quantity and/or variant selection
 router.put('/:id',
-  auth,
   [
-    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('size').optional({ nullable: true }).isString().trim(),
+    body('color').optional({ nullable: true }).isString().trim()
   ],
   async (req, res) => {
     try {
@@ -120,20 +287,85 @@ router.put('/:id',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { quantity } = req.body;
+      if (!req.cartOwner) {
+        return res.status(404).json({ error: 'Cart item not found' });
+      }
 
-      const cartItem = await prisma.cartItem.update({
+      const existingCartItem = await prisma.cartItem.findFirst({
         where: {
           id: req.params.id,
-          userId: req.user.id
+          ...req.cartOwner
         },
-        data: { quantity },
         include: {
-          product: true
+          product: {
+            include: { variants: true }
+          }
+        }
+      });
+
+      if (!existingCartItem) {
+        return res.status(404).json({ error: 'Cart item not found' });
+      }
+
+      const { product } = existingCartItem;
+      const quantity = req.body.quantity !== undefined ? req.body.quantity : existingCartItem.quantity;
+      const size = req.body.size !== undefined ? req.body.size || null : existingCartItem.size;
+      const color = req.body.color !== undefined ? req.body.color || null : existingCartItem.color;
+
+      const { variant, error } = matchVariant(product.variants, size, color);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Switching to a selection that already has its own line merges the two
+      const duplicate = await prisma.cartItem.findFirst({
+        where: {
+          ...req.cartOwner,
+          productId: product.id,
+          size,
+          color,
+          id: { not: existingCartItem.id }
         }
       });
 
-      res.json(cartItem);
+      const newQuantity = quantity + (duplicate ? duplicate.quantity : 0);
+      const held = await heldQuantities(prisma, req.cartOwner.userId);
+      const available = availableToOwner(product, variant, held);
+      if (available < newQuantity) {
+        return res.status(400).json({ error: 'Insufficient stock', available });
+      }
+
+      let cartItem;
+
+      if (duplicate) {
+        [, cartItem] = await prisma.$transaction([
+          prisma.cartItem.delete({ where: { id: existingCartItem.id } }),
+          prisma.cartItem.update({
+            where: { id: duplicate.id },
+            data: { quantity: newQuantity, addedPrice: unitPrice(product, variant) },
+            include: { product: true }
+          })
+        ]);
+      } else {
+        cartItem = await prisma.cartItem.update({
+          where: { id: existingCartItem.id },
+          data: {
+            quantity,
+            size,
+            color,
+            // Changing the line is buying it at today's price
+            addedPrice: unitPrice(product, variant)
+          },
+          include: {
+            product: true
+          }
+        });
+      }
+
+      res.json({
+        ...cartItem,
+        unitPrice: unitPrice(product, variant).toFixed(2)
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Server error' });
@@ -142,12 +374,16 @@ router.put('/:id',
 );
 
 // DELETE /api/cart/:id - Remove item from cart
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
+    if (!req.cartOwner) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
     await prisma.cartItem.delete({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        ...req.cartOwner
       }
     });
 
@@ -158,4 +394,59 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// POST /api/cart/:id/move-to-wishlist - Save a line for later in the wishlist
+router.post('/:id/move-to-wishlist', auth, async (req, res) => {
+  try {
+    const cartItem = await prisma.cartItem.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: { product: true }
+    });
+
+    if (!cartItem) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    // The wishlist holds products, not sizes or colors
+    const [wishlistItem] = await prisma.$transaction([
+      prisma.wishlistItem.upsert({
+        where: {
+          userId_productId: {
+            userId: req.user.id,
+            productId: cartItem.productId
+          }
+        },
+        update: {},
+        create: {
+          userId: req.user.id,
+          productId: cartItem.productId,
+          addedPrice: unitPrice(cartItem.product, null)
+        }
+      }),
+      prisma.cartItem.delete({ where: { id: cartItem.id } })
+    ]);
+
+    res.json({ message: 'Item moved to wishlist', wishlistItem });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/cart - Remove every item from the cart
+router.delete('/', async (req, res) => {
+  try {
+    if (req.cartOwner) {
+      await prisma.cartItem.deleteMany({ where: req.cartOwner });
+    }
+
+    res.json({ message: 'Cart cleared' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,77 +1,100 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { acceptImage, storeImage, removeImage, ImageUploadError } = require('../lib/images');
+const { buildTree, findNode, activeProductCounts, createsCycle, breadcrumbs } = require('../lib/categories');
+const { listProducts } = require('../lib/listing');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
-// GET /api/categories - Get all categories with hierarchy
+// Shared by create and update; `optional` relaxes the required fields for PUT
+const categoryValidation = (optional) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('Category name is required'),
+    required(body('slug')).isString().trim().notEmpty().withMessage('Category slug is required'),
+    body('parentId').optional({ nullable: true }).isString(),
+    body('gender').optional({ nullable: true }).isIn(['MEN', 'WOMEN', 'KIDS', 'UNISEX']).withMessage('Invalid gender'),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be a whole number')
+  ];
+};
+
+// GET /api/categories - Get the full category tree
+// Product counts include subcategories.
 router.get('/', async (req, res) => {
   try {
     const { gender } = req.query;
-    
-    const where = {
-      parentId: null, // Get root categories
-      ...(gender && { gender: gender.toUpperCase() })
-    };
-
-    const categories = await prisma.category.findMany({
-      where,
-      include: {
-        children: {
-          include: {
-            children: true,
-            _count: {
-              select: { products: true }
-            }
-          }
-        },
-        _count: {
-          select: { products: true }
-        }
-      },
-      orderBy: { name: 'asc' }
-    });
 
-    res.json(categories);
+    const [categories, counts] = await Promise.all([
+      prisma.category.findMany(),
+      activeProductCounts(prisma)
+    ]);
+
+    const roots = buildTree(categories, counts)
+      .filter(category => !gender || category.gender === gender.toUpperCase());
+
+    res.json(roots);
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// GET /api/categories/:id - Get single category with products
-router.get('/:id', async (req, res) => {
+// A category with its parent, subtree, breadcrumbs and a page of the products
+// in it or any of its subcategories. Takes the same query parameters as
+// GET /api/products.
+const categoryDetail = async (where, query, user) => {
+  const category = await prisma.category.findUnique({
+    where,
+    include: { parent: true }
+  });
+
+  if (!category) return null;
+
+  const [categories, counts, trail, listing] = await Promise.all([
+    prisma.category.findMany(),
+    activeProductCounts(prisma),
+    breadcrumbs(prisma, category),
+    listProducts(prisma, { limit: 20, ...query, category: category.id }, user)
+  ]);
+
+  // Missing only if the category was deleted since it was read above
+  const node = findNode(buildTree(categories, counts), category.id) ||
+    { children: [], _count: { products: 0 } };
+
+  return {
+    ...category,
+    children: node.children,
+    _count: node._count,
+    breadcrumbs: trail,
+    ...listing
+  };
+};
+
+// GET /api/categories/slug/:slug - Get single category by its slug
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = req.query;
-    const skip = (page - 1) * limit;
+    const category = await categoryDetail({ slug: req.params.slug }, req.query, req.user);
 
-    const category = await prisma.category.findUnique({
-      where: { id: req.params.id },
-      include: {
-        children: true,
-        parent: true,
-        products: {
-          where: { isActive: true },
-          include: {
-            category: true,
-            reviews: {
-              select: { rating: true }
-            },
-            _count: {
-              select: { reviews: true }
-            }
-          },
-          skip: parseInt(skip),
-          take: parseInt(limit),
-          orderBy: { [sortBy]: order }
-        },
-        _count: {
-          select: { products: true }
-        }
-      }
-    });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(category);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/categories/:id - Get single category with products
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const category = await categoryDetail({ id: req.params.id }, req.query, req.user);
 
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
@@ -84,26 +107,30 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Create and update both hit the unique name and slug
+const isDuplicate = (error) => error.code === 'P2002';
+const DUPLICATE_MESSAGE = 'A category with this name or slug already exists';
+
 // POST /api/categories - Create new category (Admin only)
 router.post('/', 
   auth,
-  [
-    body('name').notEmpty().withMessage('Category name is required'),
-    body('slug').notEmpty().withMessage('Category slug is required'),
-    body('gender').optional().isIn(['MEN', 'WOMEN', 'KIDS', 'UNISEX']).withMessage('Invalid gender')
-  ],
+  requirePermission('categories:manage'),
+  categoryValidation(false),
   async (req, res) => {
     try {
-      if (req.user.role !== 'ADMIN') {
-        return res.status(403).json({ error: 'Access denied. Admin only.' });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, slug, description, imageUrl, parentId, gender } = req.body;
+      const { name, slug, description, imageUrl, parentId, gender, sortOrder } = req.body;
+
+      if (parentId) {
+        const parent = await prisma.category.findUnique({ where: { id: parentId } });
+        if (!parent) {
+          return res.status(400).json({ error: 'Parent category not found' });
+        }
+      }
 
       const category = await prisma.category.create({
         data: {
@@ -112,7 +139,8 @@ router.post('/',
           description,
           imageUrl,
           parentId,
-          gender
+          gender,
+          ...(sortOrder !== undefined && { sortOrder: parseInt(sortOrder) })
         },
         include: {
           parent: true,
@@ -122,10 +150,246 @@ router.post('/',
 
       res.status(201).json(category);
     } catch (error) {
+      if (isDuplicate(error)) {
+        return res.status(409).json({ error: DUPLICATE_MESSAGE });
+      }
       console.error(error);
       res.status(500).json({ error: 'Server error' });
     }
   }
 );
 
+// PUT /api/categories/order - Set the order of a category's children, or of the
+// root categories when parentId is null (Admin only)
+router.put('/order',
+  auth,
+  requirePermission('categories:manage'),
+  [
+    body('parentId').optional({ nullable: true }).isString(),
+    body('categoryIds').isArray({ min: 1 }).withMessage('categoryIds must list the categories in their new order')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const parentId = req.body.parentId || null;
+      const { categoryIds } = req.body;
+
+      const siblings = await prisma.category.findMany({
+        where: { parentId },
+        select: { id: true }
+      });
+
+      const siblingIds = new Set(siblings.map(category => category.id));
+      if (categoryIds.length !== siblingIds.size || new Set(categoryIds).size !== siblingIds.size ||
+        !categoryIds.every(id => siblingIds.has(id))) {
+        return res.status(400).json({ error: 'categoryIds must contain every category under this parent exactly once' });
+      }
+
+      const categories = await prisma.$transaction(async (prisma) => {
+        for (const [sortOrder, id] of categoryIds.entries()) {
+          await prisma.category.update({
+            where: { id },
+            data: { sortOrder }
+          });
+        }
+
+        return prisma.category.findMany({
+          where: { parentId },
+          orderBy: { sortOrder: 'asc' }
+        });
+      });
+
+      res.json(categories);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/categories/:id - Update or move a category (Admin only)
+router.put('/:id',
+  auth,
+  requirePermission('categories:manage'),
+  categoryValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await prisma.category.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      const { name, slug, description, imageUrl, parentId, gender, sortOrder } = req.body;
+
+      if (parentId) {
+        const parent = await prisma.category.findUnique({ where: { id: parentId } });
+        if (!parent) {
+          return res.status(400).json({ error: 'Parent category not found' });
+        }
+
+        if (await createsCycle(prisma, existing.id, parentId)) {
+          return res.status(400).json({ error: 'A category cannot be moved under itself or one of its subcategories' });
+        }
+      }
+
+      const category = await prisma.category.update({
+        where: { id: existing.id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(slug !== undefined && { slug }),
+          ...(description !== undefined && { description }),
+          ...(imageUrl !== undefined && { imageUrl }),
+          ...(parentId !== undefined && { parentId: parentId || null }),
+          ...(gender !== undefined && { gender }),
+          ...(sortOrder !== undefined && { sortOrder: parseInt(sortOrder) })
+        },
+        include: {
+          parent: true,
+          children: true
+        }
+      });
+
+      res.json(category);
+    } catch (error) {
+      if (isDuplicate(error)) {
+        return res.status(409).json({ error: DUPLICATE_MESSAGE });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/categories/:id - Delete a category (Admin only)
+// A category that still has products or coupons is only deleted when
+// ?reassignTo=<categoryId> names where they should move; one with
+// subcategories has to have them moved or deleted first.
+router.delete('/:id', auth, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await prisma.category.findUnique({
+      where: { id: req.params.id },
+      include: {
+        _count: {
+          select: { children: true, products: true, coupons: true }
+        }
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { children, products, coupons } = category._count;
+
+    if (children > 0) {
+      return res.status(409).json({
+        error: 'Category has subcategories; move or delete them first',
+        subcategories: children
+      });
+    }
+
+    const { reassignTo } = req.query;
+
+    if (reassignTo) {
+      const target = await prisma.category.findUnique({ where: { id: String(reassignTo) } });
+      if (!target || target.id === category.id) {
+        return res.status(400).json({ error: 'Category to reassign to not found' });
+      }
+    } else if (products > 0 || coupons > 0) {
+      // Deleting would otherwise orphan the products and widen the coupons
+      // to every category
+      return res.status(409).json({
+        error: 'Category is still in use; pass reassignTo to move its products and coupons',
+        products,
+        coupons
+      });
+    }
+
+    await prisma.$transaction(async (prisma) => {
+      if (reassignTo) {
+        await prisma.product.updateMany({
+          where: { categoryId: category.id },
+          data: { categoryId: String(reassignTo) }
+        });
+        await prisma.coupon.updateMany({
+          where: { categoryId: category.id },
+          data: { categoryId: String(reassignTo) }
+        });
+      }
+
+      await prisma.category.delete({ where: { id: category.id } });
+    });
+
+    if (category.imageKey) {
+      await removeImage(category.imageKey);
+    }
+
+    res.json({
+      message: 'Category deleted',
+      ...(reassignTo && { reassigned: { products, coupons } })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/categories/:id/image - Upload category image (Admin only)
+// Multipart form: `image` file
+router.put('/:id/image', auth, requirePermission('categories:manage'), acceptImage('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image is required' });
+    }
+
+    const existing = await prisma.category.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    let image;
+    try {
+      image = await storeImage(req.file, `categories/${existing.id}`);
+    } catch (error) {
+      if (error instanceof ImageUploadError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const category = await prisma.category.update({
+      where: { id: existing.id },
+      data: {
+        imageUrl: image.url,
+        imageKey: image.key
+      }
+    });
+
+    // Replace rather than accumulate uploaded images
+    if (existing.imageKey) {
+      await removeImage(existing.imageKey);
+    }
+
+    res.json(category);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,198 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { normalizeCode } = require('../lib/coupons');
+
+const router = express.Router();
+
+const adminOnly = requirePermission('coupons:manage');
+
+// Shared by create and update; `optional` relaxes the required fields for PUT
+const couponValidation = (optional) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    required(body('code')).isString().trim().notEmpty().withMessage('Coupon code is required'),
+    required(body('type')).isIn(['PERCENTAGE', 'FIXED']).withMessage('Type must be PERCENTAGE or FIXED'),
+    required(body('value')).isDecimal({ gt: 0 }).withMessage('Value must be greater than 0')
+      .custom((value, { req }) => req.body.type !== 'PERCENTAGE' || parseFloat(value) <= 100)
+      .withMessage('Percentage value cannot exceed 100'),
+    body('maxDiscount').optional({ nullable: true }).isDecimal().withMessage('Max discount must be a number'),
+    body('minOrderValue').optional({ nullable: true }).isDecimal().withMessage('Min order value must be a number'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('categoryId').optional({ nullable: true }).isString(),
+    body('brand').optional({ nullable: true }).isString().trim(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+const DUPLICATE_CODE = 'Coupon code already exists';
+
+// Map request fields onto coupon columns, leaving out ones not sent
+const couponData = (input) => {
+  const decimal = (value) => (value === null ? null : parseFloat(value));
+  const date = (value) => (value === null ? null : new Date(value));
+  const int = (value) => (value === null ? null : parseInt(value));
+
+  return {
+    ...(input.code !== undefined && { code: normalizeCode(input.code) }),
+    ...(input.description !== undefined && { description: input.description }),
+    ...(input.type !== undefined && { type: input.type }),
+    ...(input.value !== undefined && { value: parseFloat(input.value) }),
+    ...(input.maxDiscount !== undefined && { maxDiscount: decimal(input.maxDiscount) }),
+    ...(input.minOrderValue !== undefined && { minOrderValue: decimal(input.minOrderValue) }),
+    ...(input.startsAt !== undefined && { startsAt: date(input.startsAt) }),
+    ...(input.expiresAt !== undefined && { expiresAt: date(input.expiresAt) }),
+    ...(input.usageLimit !== undefined && { usageLimit: int(input.usageLimit) }),
+    ...(input.perUserLimit !== undefined && { perUserLimit: int(input.perUserLimit) }),
+    ...(input.categoryId !== undefined && { categoryId: input.categoryId }),
+    ...(input.brand !== undefined && { brand: input.brand }),
+    ...(input.isActive !== undefined && { isActive: input.isActive })
+  };
+};
+
+// GET /api/coupons - List coupons (Admin only)
+router.get('/', auth, adminOnly, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      ...(active !== undefined && { isActive: active === 'true' })
+    };
+
+    const [coupons, total] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        include: {
+          category: {
+            select: { id: true, name: true, slug: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.coupon.count({ where })
+    ]);
+
+    res.json({
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/coupons - Create coupon (Admin only)
+router.post('/', auth, adminOnly, couponValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = couponData(req.body);
+
+    const existing = await prisma.coupon.findUnique({
+      where: { code: data.code }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: DUPLICATE_CODE });
+    }
+
+    const coupon = await prisma.coupon.create({ data });
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_CODE });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/coupons/:id - Update coupon (Admin only)
+router.put('/:id', auth, adminOnly, couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.coupon.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const data = couponData(req.body);
+
+    // The validator only sees the type when it is sent; check the result
+    const type = data.type || existing.type;
+    const value = data.value !== undefined ? data.value : parseFloat(existing.value);
+    if (type === 'PERCENTAGE' && value > 100) {
+      return res.status(400).json({ error: 'Percentage value cannot exceed 100' });
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_CODE });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/coupons/:id - Delete an unused coupon, or deactivate a used one (Admin only)
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // Redemptions reference the coupon, so keep it for order history
+    if (coupon.usedCount > 0) {
+      await prisma.coupon.update({
+        where: { id: coupon.id },
+        data: { isActive: false }
+      });
+      return res.json({ message: 'Coupon has been used and was deactivated instead' });
+    }
+
+    await prisma.coupon.delete({ where: { id: coupon.id } });
+
+    res.json({ message: 'Coupon deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { requireProductOwner } = require('../middleware/permissions');
+const { acceptImages, storeImage, removeImage, ImageUploadError } = require('../lib/images');
+
+// Mounted at /api/products/:id/images
+const router = express.Router({ mergeParams: true });
+
+// A gallery is either the product's own images or one variant's images
+const galleryWhere = (productId, variantId) => ({
+  productId,
+  variantId: variantId || null
+});
+
+// Point the product's (or variant's) imageUrl at the first image in its gallery
+const syncPrimaryImage = async (prisma, productId, variantId) => {
+  const first = await prisma.productImage.findFirst({
+    where: galleryWhere(productId, variantId),
+    orderBy: { position: 'asc' }
+  });
+
+  if (!first) return;
+
+  if (variantId) {
+    await prisma.productVariant.update({
+      where: { id: variantId },
+      data: { imageUrl: first.url }
+    });
+  } else {
+    await prisma.product.update({
+      where: { id: productId },
+      data: { imageUrl: first.url }
+    });
+  }
+};
+
+// Check a variantId from the request belongs to the product
+const findVariant = (productId, variantId) => {
+  return prisma.productVariant.findFirst({
+    where: { id: variantId, productId }
+  });
+};
+
+// GET /api/products/:id/images - List the gallery, optionally for one variant
+router.get('/', async (req, res) => {
+  try {
+    const images = await prisma.productImage.findMany({
+      where: galleryWhere(req.params.id, req.query.variantId),
+      orderBy: { position: 'asc' }
+    });
+
+    res.json(images);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/products/:id/images - Upload images to the end of the gallery (Owner or Admin)
+// Multipart form: `images` files, optional `variantId` and `alt`
+router.post('/', auth, requireProductOwner, acceptImages('images'), async (req, res) => {
+  try {
+    const { product } = req;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+
+    const variantId = req.body.variantId || null;
+    if (variantId && !(await findVariant(product.id, variantId))) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const last = await prisma.productImage.findFirst({
+      where: galleryWhere(product.id, variantId),
+      orderBy: { position: 'desc' }
+    });
+    let position = last ? last.position + 1 : 0;
+
+    // Store every file before touching the database so a bad file fails the
+    // whole upload; clean up what was stored if anything goes wrong
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await storeImage(file, `products/${product.id}`));
+      }
+    } catch (error) {
+      await Promise.all(stored.map(image => removeImage(image.key)));
+      if (error instanceof ImageUploadError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const images = await prisma.$transaction(async (prisma) => {
+      const created = [];
+      for (const image of stored) {
+        created.push(await prisma.productImage.create({
+          data: {
+            productId: product.id,
+            variantId,
+            url: image.url,
+            thumbnailUrl: image.thumbnailUrl,
+            storageKey: image.key,
+            position: position++,
+            alt: req.body.alt || null
+          }
+        }));
+      }
+
+      await syncPrimaryImage(prisma, product.id, variantId);
+      return created;
+    });
+
+    res.status(201).json(images);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/products/:id/images/order - Reorder a gallery (Owner or Admin)
+router.put('/order',
+  auth,
+  requireProductOwner,
+  [
+    body('imageIds').isArray({ min: 1 }).withMessage('imageIds must list the gallery in its new order'),
+    body('variantId').optional({ nullable: true }).isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { product } = req;
+
+      const { imageIds } = req.body;
+      const variantId = req.body.variantId || null;
+
+      const current = await prisma.productImage.findMany({
+        where: galleryWhere(product.id, variantId),
+        select: { id: true }
+      });
+
+      const currentIds = new Set(current.map(image => image.id));
+      if (imageIds.length !== currentIds.size || new Set(imageIds).size !== currentIds.size ||
+        !imageIds.every(id => currentIds.has(id))) {
+        return res.status(400).json({ error: 'imageIds must contain every image in the gallery exactly once' });
+      }
+
+      const images = await prisma.$transaction(async (prisma) => {
+        for (const [position, id] of imageIds.entries()) {
+          await prisma.productImage.update({
+            where: { id },
+            data: { position }
+          });
+        }
+
+        await syncPrimaryImage(prisma, product.id, variantId);
+
+        return prisma.productImage.findMany({
+          where: galleryWhere(product.id, variantId),
+          orderBy: { position: 'asc' }
+        });
+      });
+
+      res.json(images);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/products/:id/images/:imageId - Remove an image (Owner or Admin)
+router.delete('/:imageId', auth, requireProductOwner, async (req, res) => {
+  try {
+    const { product } = req;
+
+    const image = await prisma.productImage.findFirst({
+      where: { id: req.params.imageId, productId: product.id }
+    });
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await prisma.$transaction(async (prisma) => {
+      await prisma.productImage.delete({ where: { id: image.id } });
+      await syncPrimaryImage(prisma, product.id, image.variantId);
+
+      // Don't leave the primary image pointing at a deleted file
+      if (image.variantId) {
+        await prisma.productVariant.updateMany({
+          where: { id: image.variantId, imageUrl: image.url },
+          data: { imageUrl: null }
+        });
+      } else {
+        await prisma.product.updateMany({
+          where: { id: product.id, imageUrl: image.url },
+          data: { imageUrl: null }
+        });
+      }
+    });
+
+    if (image.storageKey) {
+      await removeImage(image.storageKey);
+    }
+
+    res.json({ message: 'Image deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { requireProductOwner } = require('../middleware/permissions');
+const { moveStock } = require('../lib/inventory');
+const { notifyProductChanges } = require('../lib/notifications');
+
+// Mounted at /api/products/:id/inventory
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, requireProductOwner);
+
+// GET /api/products/:id/inventory - Stock levels, active holds and the movement ledger (Owner or Admin)
+router.get('/', async (req, res) => {
+  try {
+    const { product } = req;
+    const { page = 1, limit = 50, variantId, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      productId: product.id,
+      ...(variantId && { variantId }),
+      ...(type && { type: type.toUpperCase() })
+    };
+
+    const [variants, held, movements, total] = await Promise.all([
+      prisma.productVariant.findMany({
+        where: { productId: product.id },
+        select: { id: true, size: true, color: true, stock: true },
+        orderBy: [{ size: 'asc' }, { color: 'asc' }]
+      }),
+      prisma.stockHold.aggregate({
+        where: { productId: product.id, expiresAt: { gt: new Date() } },
+        _sum: { quantity: true }
+      }),
+      prisma.inventoryMovement.findMany({
+        where,
+        include: {
+          variant: {
+            select: { id: true, size: true, color: true }
+          },
+          actor: {
+            select: { id: true, name: true, role: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.inventoryMovement.count({ where })
+    ]);
+
+    res.json({
+      stock: product.stock,
+      held: held._sum.quantity || 0,
+      variants,
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/products/:id/inventory - Add or remove stock with a reason (Owner or Admin)
+router.post('/',
+  [
+    body('quantity').isInt().not().equals('0').withMessage('Quantity must be a non-zero integer').toInt(),
+    body('reason').isString().trim().notEmpty().withMessage('A reason for the adjustment is required'),
+    body('variantId').optional({ nullable: true }).isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { product } = req;
+      const { quantity, reason } = req.body;
+      const variantId = req.body.variantId || null;
+
+      // Products sold by size/color keep their stock on the variants
+      if (!variantId && product._count.variants > 0) {
+        return res.status(400).json({ error: 'Stock for this product is managed per variant' });
+      }
+
+      if (variantId) {
+        const variant = await prisma.productVariant.findFirst({
+          where: { id: variantId, productId: product.id }
+        });
+
+        if (!variant) {
+          return res.status(404).json({ error: 'Variant not found' });
+        }
+      }
+
+      const moved = await prisma.$transaction(async (prisma) => {
+        return moveStock(prisma, {
+          productId: product.id,
+          variantId,
+          quantity,
+          type: 'ADJUSTMENT',
+          reason,
+          actorId: req.user.id
+        });
+      });
+
+      if (!moved) {
+        return res.status(409).json({ error: 'Not enough stock to remove that quantity' });
+      }
+
+      await notifyProductChanges(prisma, product);
+
+      const updated = variantId
+        ? await prisma.productVariant.findUnique({ where: { id: variantId } })
+        : await prisma.product.findUnique({ where: { id: product.id } });
+
+      res.status(201).json({ stock: updated.stock });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
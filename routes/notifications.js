@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+// GET /api/notifications - The user's notifications, newest first (?unread=true for unread only)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      userId: req.user.id,
+      ...(unread === 'true' && { readAt: null })
+    };
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        include: {
+          product: {
+            select: { id: true, name: true, imageUrl: true, price: true, discountPrice: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.count({ where: { userId: req.user.id, readAt: null } })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark every notification read
+router.put('/read-all', async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({ updated: count });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark a notification read, or unread with { read: false }
+router.put('/:id/read',
+  [
+    body('read').optional().isBoolean().withMessage('read must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const notification = await prisma.notification.findFirst({
+        where: { id: req.params.id, userId: req.user.id }
+      });
+
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      const read = req.body.read === undefined || req.body.read === true || req.body.read === 'true';
+
+      const updated = await prisma.notification.update({
+        where: { id: notification.id },
+        data: { readAt: read ? notification.readAt || new Date() : null }
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/notifications/:id - Dismiss a notification
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.notification.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,23 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const { loadCartLines, priceCart } = require('../lib/cart');
+const { evaluateCoupon, redeemCoupon, CouponError } = require('../lib/coupons');
+const { formatAddress } = require('../lib/shipping');
+const { takeStock, holdStock, releaseUserHolds, InsufficientStockError } = require('../lib/inventory');
+const { assignInvoiceNumber, buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../lib/invoices');
+const { TRANSITIONS, recordStatus, OrderConflictError, InvalidTransitionError } = require('../lib/orderStatus');
+const { changeOrderStatus } = require('../lib/orders');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+
+// Reason a cart can't be checked out as it is, or null
+const unavailableLine = (lines) => {
+  const line = lines.find(({ product, error }) => !product.isActive || error);
+  return line ? `${line.product.name} is no longer available in the selected option` : null;
+};
 
 // GET /api/orders - Get user's orders
 router.get('/', auth, async (req, res) => {
@@ -29,77 +42,186 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST /api/orders - Create new order from cart
-router.post('/', auth, async (req, res) => {
-  try {
-    // Get user's cart items
-    const cartItems = await prisma.cartItem.findMany({
-      where: { userId: req.user.id },
-      include: { product: true }
-    });
+router.post('/',
+  auth,
+  [
+    body('addressId').notEmpty().withMessage('Shipping address is required'),
+    body('couponCode').optional({ nullable: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (cartItems.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' });
-    }
+      const address = await prisma.address.findFirst({
+        where: { id: req.body.addressId, userId: req.user.id }
+      });
 
-    // Calculate total and check stock
-    let total = 0;
-    for (const item of cartItems) {
-      if (item.product.stock < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${item.product.name}` 
-        });
+      if (!address) {
+        return res.status(404).json({ error: 'Address not found' });
       }
-      total += parseFloat(item.product.price) * item.quantity;
-    }
 
-    // Create order with transaction
-    const result = await prisma.$transaction(async (prisma) => {
-      // Create order
-      const order = await prisma.order.create({
-        data: {
-          userId: req.user.id,
-          total,
-          status: 'PENDING'
+      // Get user's cart with variants and sale prices resolved
+      const lines = await loadCartLines(prisma, { userId: req.user.id });
+
+      if (lines.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+
+      // Check every line is still available; stock is taken in the transaction
+      const unavailable = unavailableLine(lines);
+      if (unavailable) {
+        return res.status(400).json({ error: unavailable });
+      }
+
+      let coupon = null;
+      let discount = 0;
+      if (req.body.couponCode) {
+        const evaluation = await evaluateCoupon(prisma, req.body.couponCode, req.user.id, lines);
+        if (evaluation.error) {
+          return res.status(400).json({ error: evaluation.error });
         }
+        ({ coupon, discount } = evaluation);
+      }
+
+      // Tax is only added on top when catalogue prices exclude it
+      const { shipping: { fee: shipping }, tax, total } = priceCart({
+        lines,
+        discount,
+        pincode: address.pincode,
+        state: address.state
       });
 
-      // Create order items and update product stock
-      for (const item of cartItems) {
-        await prisma.orderItem.create({
+      // Create order with transaction
+      const result = await prisma.$transaction(async (prisma) => {
+        // Stock held at the start of checkout is taken again below as a sale
+        await releaseUserHolds(prisma, req.user.id, 'Converted to order');
+
+        // Create order
+        const order = await prisma.order.create({
           data: {
-            orderId: order.id,
-            productId: item.productId,
-            quantity: item.quantity,
-            price: item.product.price
+            userId: req.user.id,
+            total,
+            discount,
+            shipping,
+            tax: tax.amount,
+            taxIncluded: tax.included,
+            couponCode: coupon ? coupon.code : null,
+            shippingName: address.name,
+            shippingAddress: formatAddress(address),
+            shippingCity: address.city,
+            shippingState: address.state,
+            shippingPincode: address.pincode,
+            phone: address.phone,
+            status: 'PENDING'
           }
         });
 
-        // Update product stock
-        await prisma.product.update({
-          where: { id: item.productId },
-          data: { stock: { decrement: item.quantity } }
+        if (coupon) {
+          await redeemCoupon(prisma, coupon, req.user.id, order.id, discount);
+        }
+
+        // Take the stock, failing the whole order if any line is short
+        await takeStock(prisma, lines, {
+          type: 'SALE',
+          reason: 'Order placed',
+          orderId: order.id,
+          actorId: req.user.id
         });
-      }
 
-      // Clear cart
-      await prisma.cartItem.deleteMany({
-        where: { userId: req.user.id }
-      });
+        // Create order items
+        for (const [index, { item, price }] of lines.entries()) {
+          const { rate, taxableValue, cgst, sgst, igst } = tax.lines[index];
 
-      return order;
-    });
+          await prisma.orderItem.create({
+            data: {
+              orderId: order.id,
+              productId: item.productId,
+              quantity: item.quantity,
+              price,
+              size: item.size,
+              color: item.color,
+              taxRate: rate,
+              taxableValue,
+              cgst,
+              sgst,
+              igst
+            }
+          });
+        }
 
-    // Get complete order with items
-    const order = await prisma.order.findUnique({
-      where: { id: result.id },
-      include: {
-        orderItems: {
-          include: { product: true }
+        await recordStatus(prisma, order.id, 'PENDING', req.user.id, 'Order placed');
+
+        // Clear cart
+        await prisma.cartItem.deleteMany({
+          where: { userId: req.user.id }
+        });
+
+        return order;
+      });
+
+      // Get complete order with items
+      const order = await prisma.order.findUnique({
+        where: { id: result.id },
+        include: {
+          orderItems: {
+            include: { product: true }
+          }
         }
+      });
+
+      res.status(201).json(order);
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return res.status(409).json({ error: error.message, items: error.items });
       }
+      if (error instanceof CouponError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// POST /api/orders/checkout - Start checkout by holding stock for the cart for a few minutes
+router.post('/checkout', auth, async (req, res) => {
+  try {
+    const lines = await loadCartLines(prisma, { userId: req.user.id });
+
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const unavailable = unavailableLine(lines);
+    if (unavailable) {
+      return res.status(400).json({ error: unavailable });
+    }
+
+    const { holds, expiresAt } = await prisma.$transaction(async (prisma) => {
+      return holdStock(prisma, req.user.id, lines);
     });
 
-    res.status(201).json(order);
+    res.status(201).json({ expiresAt, holds });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ error: error.message, items: error.items });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/orders/checkout - Abandon checkout and release held stock
+router.delete('/checkout', auth, async (req, res) => {
+  try {
+    await prisma.$transaction(async (prisma) => {
+      await releaseUserHolds(prisma, req.user.id, 'Checkout abandoned');
+    });
+
+    res.json({ message: 'Held stock released' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -117,6 +239,18 @@ router.get('/:id', auth, async (req, res) => {
       include: {
         orderItems: {
           include: { product: true }
+        },
+        statusHistory: {
+          include: {
+            actor: {
+              select: { id: true, name: true, role: true }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        payments: {
+          include: { refunds: true },
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -132,4 +266,223 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/invoice - Download the order's tax invoice (?format=pdf, the default, or html)
+router.get('/:id/invoice', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be pdf or html' });
+    }
+
+    const order = await prisma.order.findFirst({
+      where: {
+        id: req.params.id,
+        ...(!hasPermission(req.user, 'orders:manage:any') && { userId: req.user.id })
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Numbered on first download so every invoice number is used
+    const invoiceNumber = await assignInvoiceNumber(prisma, order);
+    if (!invoiceNumber) {
+      return res.status(400).json({ error: `No invoice is available for a ${order.status.toLowerCase()} order` });
+    }
+
+    const invoice = buildInvoice(await prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        orderItems: {
+          include: { product: { select: { name: true } } }
+        }
+      }
+    }));
+
+    const filename = `invoice-${invoiceNumber.replace(/\//g, '-')}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(invoice));
+    }
+
+    res.type('pdf').send(await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Apply a status change and send the updated order, or the reason it was refused
+const changeStatus = async (req, res, order, status, note, shipment) => {
+  try {
+    await changeOrderStatus(prisma, order, status, { actorId: req.user.id, note, shipment });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof OrderConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const updated = await prisma.order.findUnique({
+    where: { id: order.id },
+    include: {
+      orderItems: {
+        include: { product: true }
+      },
+      statusHistory: {
+        orderBy: { createdAt: 'asc' }
+      },
+      payments: {
+        include: { refunds: true }
+      }
+    }
+  });
+
+  res.json(updated);
+};
+
+// POST /api/orders/:id/cancel - Cancel own order before it ships
+router.post('/:id/cancel',
+  auth,
+  [
+    body('reason').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await prisma.order.findFirst({
+        where: {
+          id: req.params.id,
+          userId: req.user.id
+        }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      await changeStatus(req, res, order, 'CANCELLED', req.body.reason || 'Cancelled by customer');
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// POST /api/orders/:id/return - Request a return for a delivered order
+router.post('/:id/return',
+  auth,
+  [
+    body('reason').notEmpty().withMessage('Return reason is required').trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await prisma.order.findFirst({
+        where: {
+          id: req.params.id,
+          userId: req.user.id
+        }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      await changeStatus(req, res, order, 'RETURN_REQUESTED', req.body.reason);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Order statuses a seller may set, and only on orders made up entirely of
+// their own products. Cancelling and returns stay with admins and the customer;
+// orders shared with other sellers are fulfilled per item (/api/seller/order-items).
+const SELLER_STATUSES = ['PROCESSING', 'SHIPPED', 'DELIVERED'];
+
+// PUT /api/orders/:id/status - Advance order status (Admin, or Seller whose products make up the whole order)
+// Carrier and tracking number may be sent along when marking an order shipped.
+router.put('/:id/status',
+  auth,
+  requirePermission('orders:manage:any', 'orders:fulfil:own'),
+  [
+    body('status').isIn(Object.keys(TRANSITIONS)).withMessage('Invalid order status'),
+    body('note').optional().isString().trim(),
+    body('carrier').optional().isString().trim(),
+    body('trackingNumber').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const isSeller = !hasPermission(req.user, 'orders:manage:any');
+
+      if (isSeller && !SELLER_STATUSES.includes(req.body.status)) {
+        return res.status(403).json({ error: 'Sellers can only mark orders processing, shipped or delivered' });
+      }
+
+      const order = await prisma.order.findFirst({
+        where: {
+          id: req.params.id,
+          // Sellers may only manage orders that contain their products
+          ...(isSeller && {
+            orderItems: {
+              some: { product: { sellerId: req.user.id } }
+            }
+          })
+        }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      if (isSeller) {
+        const othersItems = await prisma.orderItem.count({
+          where: {
+            orderId: order.id,
+            product: {
+              OR: [{ sellerId: null }, { sellerId: { not: req.user.id } }]
+            }
+          }
+        });
+
+        if (othersItems > 0) {
+          return res.status(403).json({
+            error: 'This order includes items from other sellers; update the fulfilment of your items instead'
+          });
+        }
+      }
+
+      const { carrier, trackingNumber } = req.body;
+
+      await changeStatus(req, res, order, req.body.status, req.body.note, {
+        ...(carrier !== undefined && { carrier }),
+        ...(trackingNumber !== undefined && { trackingNumber })
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PaymentError, createPayment, confirmPayment, refundPayment, handleWebhook } = require('../lib/payments');
+
+const router = express.Router();
+
+// POST /api/payments/webhook - Payment provider events (signed by the provider, no auth)
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleWebhook(prisma, req.rawBody, req.headers);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/payments/intent - Start paying for one of the user's pending orders
+router.post('/intent',
+  auth,
+  [
+    body('orderId').notEmpty().withMessage('Order is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await prisma.order.findFirst({
+        where: { id: req.body.orderId, userId: req.user.id }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const { payment, clientSecret, data } = await createPayment(prisma, order);
+
+      res.status(201).json({ payment, clientSecret, providerData: data });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// POST /api/payments/:id/confirm - Confirm a payment with the provider's checkout result
+router.post('/:id/confirm', auth, async (req, res) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        id: req.params.id,
+        order: { userId: req.user.id }
+      }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const updated = await confirmPayment(prisma, payment, req.body);
+
+    if (updated.status === 'FAILED') {
+      return res.status(402).json({ error: updated.failureReason || 'Payment failed', payment: updated });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/payments/order/:orderId - Payment attempts and refunds for one of the user's orders
+router.get('/order/:orderId', auth, async (req, res) => {
+  try {
+    const order = await prisma.order.findFirst({
+      where: { id: req.params.orderId, userId: req.user.id },
+      select: { id: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const payments = await prisma.payment.findMany({
+      where: { orderId: order.id },
+      include: { refunds: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(payments);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/payments/:id/refund - Refund all or part of a payment (Admin only)
+router.post('/:id/refund',
+  auth,
+  requirePermission('payments:refund'),
+  [
+    body('amount').optional().isDecimal({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('reason').optional({ nullable: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const payment = await prisma.payment.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      const refund = await refundPayment(prisma, payment, {
+        amount: req.body.amount,
+        reason: req.body.reason,
+        actorId: req.user.id
+      });
+
+      res.status(201).json(refund);
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
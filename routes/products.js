@@ -1,71 +1,149 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient, Prisma } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { describeVariants } = require('../lib/variants');
+const { summarizeRatings } = require('../lib/ratings');
+const { optionalAuth } = require('../middleware/auth');
+const { hasPermission, requirePermission, requireProductOwner } = require('../middleware/permissions');
+const { wishlistedIds, listProducts } = require('../lib/listing');
+const { recordMovement } = require('../lib/inventory');
+const { notifyProductChanges } = require('../lib/notifications');
+const { CsvError } = require('../lib/csv');
+const { IMPORT_BODY_LIMIT, ImportError, readJsonCatalog, readCsvCatalog, planImport, applyImport, exportCatalog, catalogToCsv } = require('../lib/catalog');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
-// GET /api/products - Get all products with pagination and filtering
-router.get('/', async (req, res) => {
+router.use('/:id/variants', require('./variants'));
+router.use('/:id/reviews', require('./reviews'));
+router.use('/:id/images', require('./images'));
+router.use('/:id/inventory', require('./inventory'));
+
+// GET /api/products - Search and filter products with pagination and facet counts
+// Filters: category, gender, brand, color, size, material (comma-separated for
+// several), minPrice, maxPrice, inStock, isFeatured, sellerId. A category
+// includes its subcategories. With `search`, results default to relevance order.
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search, gender, brand, isFeatured, sortBy = 'createdAt', order = 'desc', sellerId } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const where = {
-      isActive: true,
-      ...(category && { categoryId: category }),
-      ...(gender && { gender: gender.toUpperCase() }),
-      ...(brand && { brand: { contains: brand, mode: 'insensitive' } }),
-      ...(isFeatured && { isFeatured: isFeatured === 'true' }),
-      ...(sellerId && { sellerId }),
-      ...(search && {
-        OR: [
-          { name: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } },
-          { brand: { contains: search, mode: 'insensitive' } }
-        ]
-      })
-    };
+    res.json(await listProducts(prisma, req.query, req.user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const orderBy = {};
-    orderBy[sortBy] = order;
+// Admins import and export for a seller with ?sellerId= (house products when
+// omitted); sellers always work on their own catalog. Resolves to undefined
+// when ?sellerId= isn't a seller.
+const catalogSellerId = async (req) => {
+  if (!hasPermission(req.user, 'products:update:any')) {
+    return req.user.id;
+  }
+  if (!req.query.sellerId) {
+    return null;
+  }
 
-    const products = await prisma.product.findMany({
-      where,
-      include: {
-        category: true,
-        reviews: {
-          select: { rating: true }
-        },
-        _count: {
-          select: { reviews: true }
-        }
-      },
-      skip: parseInt(skip),
-      take: parseInt(limit),
-      orderBy
-    });
+  const seller = await prisma.user.findFirst({
+    where: { id: String(req.query.sellerId), role: 'SELLER' },
+    select: { id: true }
+  });
+  return seller ? seller.id : undefined;
+};
 
-    const total = await prisma.product.count({ where });
+// GET /api/products/export - Download the catalog as JSON, or CSV with ?format=csv (Admin or Seller)
+router.get('/export', auth, requirePermission('products:create'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
 
-    res.json({
-      products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const sellerId = await catalogSellerId(req);
+    if (sellerId === undefined) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const catalog = await exportCatalog(prisma, { sellerId });
+    const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(catalogToCsv(catalog));
+    }
+
+    res.json({ products: catalog });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// POST /api/products/import - Create or update products and variants by SKU (Admin or Seller)
+// Send JSON, or CSV with Content-Type: text/csv. Nothing is written unless every
+// row is valid; with ?dryRun=true the rows are only checked.
+router.post('/import',
+  auth,
+  requirePermission('products:create'),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    try {
+      const sellerId = await catalogSellerId(req);
+      if (sellerId === undefined) {
+        return res.status(404).json({ error: 'Seller not found' });
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+
+      let parsed;
+      try {
+        parsed = req.is('text/csv') ? readCsvCatalog(req.body) : readJsonCatalog(req.body);
+      } catch (error) {
+        if (error instanceof ImportError || error instanceof CsvError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      const { entries, errors } = await planImport(prisma, parsed, sellerId);
+
+      const summary = {
+        products: entries.length,
+        create: entries.filter(entry => entry.action === 'create').length,
+        update: entries.filter(entry => entry.action === 'update').length
+      };
+
+      if (errors.length) {
+        return res.status(400).json({ error: 'Import has errors; nothing was imported', errors, summary });
+      }
+
+      if (dryRun) {
+        return res.json({
+          dryRun: true,
+          summary,
+          results: entries.map(({ row, sku, action, variants }) => ({ row, sku, action, variants: variants.length }))
+        });
+      }
+
+      const results = await applyImport(prisma, entries, { sellerId, actorId: req.user.id });
+
+      for (const entry of entries) {
+        if (entry.product) await notifyProductChanges(prisma, entry.product);
+      }
+
+      res.json({ dryRun: false, summary, results });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 // GET /api/products/:id - Get single product
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const product = await prisma.product.findUnique({
       where: { id: req.params.id },
@@ -77,6 +155,18 @@ router.get('/:id', async (req, res) => {
               select: { name: true, email: true }
             }
           }
+        },
+        variants: {
+          include: {
+            gallery: {
+              orderBy: { position: 'asc' }
+            }
+          },
+          orderBy: [{ size: 'asc' }, { color: 'asc' }]
+        },
+        gallery: {
+          where: { variantId: null },
+          orderBy: { position: 'asc' }
         }
       }
     });
@@ -85,97 +175,217 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json(product);
+    const wishlisted = await wishlistedIds(prisma, req.user, [product.id]);
+
+    res.json({
+      ...product,
+      ...summarizeRatings(product.reviews),
+      ...describeVariants(product, product.variants),
+      ...(req.user && { inWishlist: wishlisted.has(product.id) })
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// SKUs are unique within a seller's catalog
+const DUPLICATE_SKU = 'This seller already has a product with this SKU';
+
 // POST /api/products - Create new product (Admin or Seller)
 router.post('/', 
   auth,
+  requirePermission('products:create'),
   [
     body('name').notEmpty().withMessage('Product name is required'),
     body('price').isDecimal({ gt: 0 }).withMessage('Price must be greater than 0'),
     body('categoryId').notEmpty().withMessage('Category is required'),
-    body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
+    body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    body('sku').optional().isString().trim().notEmpty().withMessage('SKU cannot be empty')
   ],
   async (req, res) => {
     try {
-      // Allow ADMIN or SELLER to create products
-      if (req.user.role !== 'ADMIN' && req.user.role !== 'SELLER') {
-        return res.status(403).json({ error: 'Access denied. Admin or Seller only.' });
-      }
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, description, price, stock, imageUrl, categoryId, brand, gender } = req.body;
+      const { name, sku, description, price, stock, imageUrl, categoryId, brand, gender, weight } = req.body;
 
       const data = {
         name,
+        sku,
         description,
         price: parseFloat(price),
         stock: parseInt(stock),
         imageUrl,
         categoryId,
         ...(brand && { brand }),
-        ...(gender && { gender: gender.toUpperCase() })
+        ...(gender && { gender: gender.toUpperCase() }),
+        ...(weight !== undefined && { weight: parseFloat(weight) })
       };
 
-      // If a seller creates the product, attach their user id as sellerId
-      if (req.user.role === 'SELLER') {
+      // Sellers own the products they create
+      if (!hasPermission(req.user, 'products:update:any')) {
         data.sellerId = req.user.id;
       } else if (req.body.sellerId) {
         // Admin can set sellerId when creating products
         data.sellerId = req.body.sellerId;
       }
 
-      const product = await prisma.product.create({
-        data,
-        include: {
-          category: true
+      const product = await prisma.$transaction(async (prisma) => {
+        const created = await prisma.product.create({
+          data,
+          include: {
+            category: true
+          }
+        });
+
+        if (created.stock > 0) {
+          await recordMovement(prisma, {
+            productId: created.id,
+            quantity: created.stock,
+            type: 'ADJUSTMENT',
+            reason: 'Initial stock',
+            actorId: req.user.id
+          });
         }
+
+        return created;
       });
 
       res.status(201).json(product);
     } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: DUPLICATE_SKU });
+      }
       console.error(error);
       res.status(500).json({ error: 'Server error' });
     }
   }
 );
 
-// PUT /api/products/:id - Update product (Admin only)
-router.put('/:id', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Access denied. Admin only.' });
-    }
+// Comma-separated columns accept either an array or a string
+const toList = (value) => {
+  if (value === null) return null;
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean).join(',') || null;
+};
 
-    const { name, description, price, stock, imageUrl, categoryId, isActive, gender } = req.body;
+// PUT /api/products/:id - Update product (Owner or Admin)
+router.put('/:id',
+  auth,
+  requireProductOwner,
+  [
+    body('name').optional().notEmpty().withMessage('Product name cannot be empty'),
+    body('sku').optional({ nullable: true }).isString().trim().notEmpty().withMessage('SKU cannot be empty'),
+    body('price').optional().isDecimal({ gt: 0 }).withMessage('Price must be greater than 0'),
+    body('discountPrice').optional({ nullable: true }).isDecimal({ gt: 0 }).withMessage('Discount price must be greater than 0'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    body('categoryId').optional().notEmpty().withMessage('Category cannot be empty'),
+    body('gender').optional({ nullable: true }).isIn(['MEN', 'WOMEN', 'KIDS', 'UNISEX', 'men', 'women', 'kids', 'unisex']).withMessage('Invalid gender'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+    body('weight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Weight must be a non-negative number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const product = await prisma.product.update({
-      where: { id: req.params.id },
-      data: {
-        ...(name && { name }),
-        ...(description && { description }),
-        ...(price && { price: parseFloat(price) }),
-        ...(stock !== undefined && { stock: parseInt(stock) }),
-        ...(imageUrl && { imageUrl }),
-        ...(categoryId && { categoryId }),
-        ...(isActive !== undefined && { isActive }),
-        ...(gender && { gender: gender.toUpperCase() })
-      },
-      include: {
-        category: true
+      const existing = req.product;
+
+      const {
+        name, sku, description, price, discountPrice, stock, imageUrl, categoryId,
+        isActive, isFeatured, gender, weight, brand, color, size, material, tags
+      } = req.body;
+
+      // Stock of products sold by size/color is the total of their variants
+      if (stock !== undefined && existing._count.variants > 0) {
+        return res.status(400).json({ error: 'Stock for this product is managed per variant' });
       }
-    });
 
-    res.json(product);
+      const newPrice = price !== undefined ? parseFloat(price) : parseFloat(existing.price);
+      if (discountPrice !== undefined && discountPrice !== null && parseFloat(discountPrice) >= newPrice) {
+        return res.status(400).json({ error: 'Discount price must be lower than the price' });
+      }
+
+      const product = await prisma.$transaction(async (prisma) => {
+        const updated = await prisma.product.update({
+          where: { id: existing.id },
+          data: {
+            ...(name !== undefined && { name }),
+            ...(sku !== undefined && { sku }),
+            ...(description !== undefined && { description }),
+            ...(price !== undefined && { price: newPrice }),
+            ...(discountPrice !== undefined && { discountPrice: discountPrice === null ? null : parseFloat(discountPrice) }),
+            ...(stock !== undefined && { stock: parseInt(stock) }),
+            ...(imageUrl !== undefined && { imageUrl }),
+            ...(categoryId !== undefined && { categoryId }),
+            ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' }),
+            ...(isFeatured !== undefined && { isFeatured: isFeatured === true || isFeatured === 'true' }),
+            ...(gender !== undefined && { gender: gender === null ? null : gender.toUpperCase() }),
+            ...(weight !== undefined && { weight: weight === null ? null : parseFloat(weight) }),
+            ...(brand !== undefined && { brand }),
+            ...(color !== undefined && { color }),
+            ...(size !== undefined && { size: toList(size) }),
+            ...(material !== undefined && { material }),
+            ...(tags !== undefined && { tags: toList(tags) })
+          },
+          include: {
+            category: true
+          }
+        });
+
+        if (stock !== undefined && updated.stock !== existing.stock) {
+          await recordMovement(prisma, {
+            productId: existing.id,
+            quantity: updated.stock - existing.stock,
+            type: 'ADJUSTMENT',
+            reason: 'Stock updated',
+            actorId: req.user.id
+          });
+        }
+
+        return updated;
+      });
+
+      await notifyProductChanges(prisma, existing);
+
+      res.json(product);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: DUPLICATE_SKU });
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/products/:id - Archive product (Owner or Admin)
+// Products are referenced by past orders and reviews, so they are only
+// deactivated; carts and wishlists drop them straight away.
+router.delete('/:id', auth, requireProductOwner, async (req, res) => {
+  try {
+    const existing = req.product;
+
+    await prisma.$transaction([
+      prisma.product.update({
+        where: { id: existing.id },
+        data: { isActive: false }
+      }),
+      prisma.cartItem.deleteMany({
+        where: { productId: existing.id }
+      }),
+      prisma.wishlistItem.deleteMany({
+        where: { productId: existing.id }
+      })
+    ]);
+
+    res.json({ message: 'Product archived' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
+const { summarizeRatings, refreshProductRating } = require('../lib/ratings');
+
+// Mounted at /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const reviewValidation = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('comment').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters')
+];
+
+// GET /api/products/:id/reviews - List reviews with rating summary
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const [reviews, ratings] = await Promise.all([
+      prisma.review.findMany({
+        where: { productId: product.id },
+        include: {
+          user: {
+            select: { name: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.review.findMany({
+        where: { productId: product.id },
+        select: { rating: true }
+      })
+    ]);
+
+    res.json({
+      reviews,
+      ...summarizeRatings(ratings),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: ratings.length,
+        pages: Math.ceil(ratings.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/products/:id/reviews - Review a product from a delivered order
+router.post('/', auth, reviewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = req.params.id;
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Verified purchase: only customers who received the product may review it
+    const delivered = await prisma.orderItem.findFirst({
+      where: {
+        productId,
+        order: {
+          userId: req.user.id,
+          status: 'DELIVERED'
+        }
+      }
+    });
+
+    if (!delivered) {
+      return res.status(403).json({ error: 'You can only review products from a delivered order' });
+    }
+
+    const existingReview = await prisma.review.findUnique({
+      where: {
+        userId_productId: {
+          userId: req.user.id,
+          productId
+        }
+      }
+    });
+
+    if (existingReview) {
+      return res.status(400).json({ error: 'You have already reviewed this product' });
+    }
+
+    const { rating, comment } = req.body;
+
+    const review = await prisma.$transaction(async (prisma) => {
+      const created = await prisma.review.create({
+        data: {
+          userId: req.user.id,
+          productId,
+          rating,
+          comment
+        },
+        include: {
+          user: {
+            select: { name: true }
+          }
+        }
+      });
+
+      await refreshProductRating(prisma, productId);
+      return created;
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/products/:id/reviews/:reviewId - Edit own review
+router.put('/:reviewId', auth, reviewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingReview = await prisma.review.findFirst({
+      where: {
+        id: req.params.reviewId,
+        productId: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!existingReview) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const { rating, comment } = req.body;
+
+    const review = await prisma.$transaction(async (prisma) => {
+      const updated = await prisma.review.update({
+        where: { id: existingReview.id },
+        data: {
+          rating,
+          ...(comment !== undefined && { comment })
+        },
+        include: {
+          user: {
+            select: { name: true }
+          }
+        }
+      });
+
+      await refreshProductRating(prisma, existingReview.productId);
+      return updated;
+    });
+
+    res.json(review);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/products/:id/reviews/:reviewId - Delete own review (Admin can delete any)
+router.delete('/:reviewId', auth, async (req, res) => {
+  try {
+    const existingReview = await prisma.review.findFirst({
+      where: {
+        id: req.params.reviewId,
+        productId: req.params.id,
+        ...(!hasPermission(req.user, 'reviews:moderate') && { userId: req.user.id })
+      }
+    });
+
+    if (!existingReview) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await prisma.$transaction(async (prisma) => {
+      await prisma.review.delete({ where: { id: existingReview.id } });
+      await refreshProductRating(prisma, existingReview.productId);
+    });
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
+const { PAID_STATUSES } = require('../lib/payments');
+
+const router = express.Router();
+
+// Each fulfilment step may only move forward to the next
+const FULFILMENT_STEPS = ['PENDING', 'PACKED', 'SHIPPED', 'DELIVERED'];
+
+// Orders in these statuses no longer count as sales or need fulfilling
+const CLOSED_STATUSES = ['CANCELLED', 'RETURNED'];
+
+// Orders that count as sales: confirmed (paid) and not cancelled or returned.
+// Only these show the seller the buyer's name, address and phone.
+const SALE_STATUSES = ['CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'RETURN_REQUESTED'];
+
+// Paid orders whose items may still be packed and shipped
+const FULFILLABLE_STATUSES = ['CONFIRMED', 'PROCESSING', 'SHIPPED'];
+
+const CONTACT_FIELDS = ['shippingName', 'shippingAddress', 'shippingPincode', 'phone'];
+
+// Leave out the buyer's contact details until the order is paid for
+const withoutContact = (order) => {
+  if (SALE_STATUSES.includes(order.status)) return order;
+  const hidden = { ...order };
+  for (const field of CONTACT_FIELDS) {
+    hidden[field] = null;
+  }
+  return hidden;
+};
+
+// Sellers see their own data; admins may pass ?sellerId= to look at any seller
+const sellerOnly = (req, res, next) => {
+  if (req.query.sellerId && hasPermission(req.user, 'seller:dashboard:any')) {
+    req.sellerId = req.query.sellerId;
+    return next();
+  }
+  if (hasPermission(req.user, 'seller:dashboard')) {
+    req.sellerId = req.user.id;
+    return next();
+  }
+  res.status(403).json({ error: 'Access denied' });
+};
+
+router.use(auth, sellerOnly);
+
+// GET /api/seller/products - Seller's inventory, including inactive and out-of-stock products
+router.get('/products', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, lowStock, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      sellerId: req.sellerId,
+      ...(status === 'active' && { isActive: true }),
+      ...(status === 'inactive' && { isActive: false }),
+      ...(status === 'out_of_stock' && { stock: 0 }),
+      ...(lowStock && { stock: { lte: parseInt(lowStock) } }),
+      ...(search && { name: { contains: search } })
+    };
+
+    const [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        include: {
+          category: true,
+          variants: true,
+          _count: {
+            select: { orderItems: true, reviews: true }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { updatedAt: 'desc' }
+      }),
+      prisma.product.count({ where })
+    ]);
+
+    res.json({
+      products,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/seller/orders - Order items containing the seller's products
+router.get('/orders', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, fulfilmentStatus, orderStatus } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      product: { sellerId: req.sellerId },
+      ...(fulfilmentStatus && { fulfilmentStatus: fulfilmentStatus.toUpperCase() }),
+      order: orderStatus
+        ? { status: orderStatus.toUpperCase() }
+        : { status: { notIn: CLOSED_STATUSES } }
+    };
+
+    const [items, total] = await Promise.all([
+      prisma.orderItem.findMany({
+        where,
+        include: {
+          product: {
+            select: { id: true, name: true, imageUrl: true }
+          },
+          order: {
+            select: {
+              id: true,
+              status: true,
+              createdAt: true,
+              shippingName: true,
+              shippingAddress: true,
+              shippingPincode: true,
+              phone: true
+            }
+          }
+        },
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { order: { createdAt: 'desc' } }
+      }),
+      prisma.orderItem.count({ where })
+    ]);
+
+    res.json({
+      items: items.map(item => ({ ...item, order: withoutContact(item.order) })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/seller/order-items/:id/fulfilment - Move an item to the next fulfilment step
+router.put('/order-items/:id/fulfilment',
+  [
+    body('status').isIn(FULFILMENT_STEPS).withMessage('Invalid fulfilment status')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const item = await prisma.orderItem.findFirst({
+        where: {
+          id: req.params.id,
+          product: { sellerId: req.sellerId }
+        },
+        include: {
+          order: { select: { status: true } }
+        }
+      });
+
+      if (!item) {
+        return res.status(404).json({ error: 'Order item not found' });
+      }
+
+      if (!FULFILLABLE_STATUSES.includes(item.order.status)) {
+        return res.status(400).json({
+          error: `Items of a ${item.order.status.toLowerCase()} order cannot be fulfilled`
+        });
+      }
+
+      const { status } = req.body;
+      if (FULFILMENT_STEPS.indexOf(status) !== FULFILMENT_STEPS.indexOf(item.fulfilmentStatus) + 1) {
+        return res.status(400).json({
+          error: `Cannot change fulfilment status from ${item.fulfilmentStatus} to ${status}`
+        });
+      }
+
+      const updated = await prisma.orderItem.update({
+        where: { id: item.id },
+        data: {
+          fulfilmentStatus: status,
+          ...(status === 'DELIVERED' && { fulfilledAt: new Date() })
+        }
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// GET /api/seller/sales - Sales of confirmed orders, net of refunds, grouped by day, product or category
+router.get('/sales', async (req, res) => {
+  try {
+    const { groupBy = 'day', from, to } = req.query;
+
+    if (!['day', 'product', 'category'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be day, product or category' });
+    }
+
+    // Default to the last 30 days
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const items = await prisma.orderItem.findMany({
+      where: {
+        product: { sellerId: req.sellerId },
+        order: {
+          status: { in: SALE_STATUSES },
+          createdAt: { gte: start, lte: end }
+        }
+      },
+      include: {
+        product: {
+          select: {
+            id: true,
+            name: true,
+            category: {
+              select: { id: true, name: true }
+            }
+          }
+        },
+        order: {
+          select: {
+            id: true,
+            createdAt: true,
+            payments: {
+              where: { status: { in: PAID_STATUSES.concat('REFUNDED') } },
+              select: { amount: true, refundedAmount: true }
+            }
+          }
+        }
+      }
+    });
+
+    // Share of each order's payments that has been refunded; refunds are
+    // per payment, so they are spread over the order's items
+    const refundedShare = (order) => {
+      const paid = order.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+      const refunded = order.payments.reduce((sum, payment) => sum + parseFloat(payment.refundedAmount), 0);
+      return paid > 0 ? Math.min(refunded / paid, 1) : 0;
+    };
+
+    const keyOf = {
+      day: (item) => ({ key: item.order.createdAt.toISOString().slice(0, 10) }),
+      product: (item) => ({ key: item.product.id, name: item.product.name }),
+      category: (item) => ({ key: item.product.category.id, name: item.product.category.name })
+    }[groupBy];
+
+    const groups = new Map();
+    let revenue = 0;
+    let units = 0;
+    const orderIds = new Set();
+
+    for (const item of items) {
+      const share = refundedShare(item.order);
+      if (share >= 1) continue;
+
+      const { key, name } = keyOf(item);
+      const amount = parseFloat(item.price) * item.quantity * (1 - share);
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, ...(name && { name }), revenue: 0, units: 0, orders: new Set() });
+      }
+      const group = groups.get(key);
+      group.revenue += amount;
+      group.units += item.quantity;
+      group.orders.add(item.order.id);
+
+      revenue += amount;
+      units += item.quantity;
+      orderIds.add(item.order.id);
+    }
+
+    const rows = [...groups.values()]
+      .map(group => ({
+        ...group,
+        revenue: group.revenue.toFixed(2),
+        orders: group.orders.size
+      }))
+      .sort((a, b) => (groupBy === 'day'
+        ? a.key.localeCompare(b.key)
+        : parseFloat(b.revenue) - parseFloat(a.revenue)));
+
+    res.json({
+      from: start,
+      to: end,
+      groupBy,
+      totals: {
+        revenue: revenue.toFixed(2),
+        units,
+        orders: orderIds.size
+      },
+      rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,40 @@
 const express = require('express');
-const { PrismaClient, Prisma } = require('../generated/prisma');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { createUserToken, consumeUserToken } = require('../lib/userTokens');
+const { sendEmailChangeEmails } = require('../lib/emails');
+const { exportUserData, deleteAccount } = require('../lib/account');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+
+const profileSelect = {
+  id: true,
+  email: true,
+  emailVerifiedAt: true,
+  name: true,
+  role: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  pincode: true,
+  emailNotifications: true,
+  createdAt: true
+};
+
+const profileFields = ['name', 'phone', 'address', 'city', 'state', 'pincode'];
+
+// Require the account password before sensitive changes
+const checkPassword = (req) => bcrypt.compare(String(req.body.password || ''), req.user.password);
 
 // GET /api/users/profile - Get user profile
 router.get('/profile', auth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        createdAt: true
-      }
+      select: profileSelect
     });
 
     res.json(user);
@@ -26,24 +44,246 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-// POST /api/users/become-seller - upgrade current user to SELLER
-router.post('/become-seller', auth, async (req, res) => {
+// PUT /api/users/profile - Update name, contact details and whether wishlist
+// alerts are emailed; null clears a contact field
+router.put('/profile',
+  auth,
+  [
+    body('name').optional({ nullable: true }).isString().trim().isLength({ min: 2 })
+      .withMessage('Name must be at least 2 characters'),
+    body('phone').optional({ nullable: true }).matches(/^\+?\d{10,15}$/)
+      .withMessage('Please provide a valid phone number'),
+    body('address').optional({ nullable: true }).isString().trim(),
+    body('city').optional({ nullable: true }).isString().trim(),
+    body('state').optional({ nullable: true }).isString().trim(),
+    body('pincode').optional({ nullable: true }).matches(/^\d{6}$/)
+      .withMessage('Pincode must be 6 digits'),
+    body('emailNotifications').optional().isBoolean().withMessage('emailNotifications must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const data = {};
+      for (const field of profileFields) {
+        if (req.body[field] !== undefined) data[field] = req.body[field] || null;
+      }
+      if (req.body.emailNotifications !== undefined) {
+        data.emailNotifications = req.body.emailNotifications === true || req.body.emailNotifications === 'true';
+      }
+
+      const user = await prisma.user.update({
+        where: { id: req.user.id },
+        data,
+        select: profileSelect
+      });
+
+      res.json(user);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/users/email - Start an email change; it applies once the new address is confirmed
+router.put('/email',
+  auth,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('password').notEmpty().withMessage('Current password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await checkPassword(req))) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+
+      const { email } = req.body;
+
+      if (email === req.user.email) {
+        return res.status(400).json({ error: 'This is already your email address' });
+      }
+
+      const taken = await prisma.user.findUnique({ where: { email } });
+      if (taken) {
+        return res.status(400).json({ error: 'Email is already in use' });
+      }
+
+      const token = await createUserToken(prisma, req.user.id, 'EMAIL_CHANGE', email);
+      await sendEmailChangeEmails(req.user, token, email);
+
+      res.json({ message: `Confirmation email sent to ${email}` });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+const EMAIL_TAKEN = 'Email is already in use';
+
+// POST /api/users/email/confirm - Apply an email change using the token from the confirmation email
+router.post('/email/confirm', [
+  body('token').notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
   try {
-    // If already a seller, return 400
-    if (req.user.role === 'SELLER') {
-      return res.status(400).json({ error: 'User is already a seller' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Use Prisma enum value to update role
-    const updated = await prisma.user.update({
-      where: { id: req.user.id },
-      data: { role: Prisma.Role.SELLER },
-      select: { id: true, email: true, name: true, role: true }
+    const record = await consumeUserToken(prisma, req.body.token, 'EMAIL_CHANGE');
+    if (!record) {
+      return res.status(400).json({ error: 'Confirmation link is invalid or has expired' });
+    }
+
+    // Someone may have registered the address since the change was requested
+    const taken = await prisma.user.findUnique({ where: { email: record.email } });
+    if (taken) {
+      return res.status(409).json({ error: EMAIL_TAKEN });
+    }
+
+    // Confirming proves the new address, so it counts as verified
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        email: record.email,
+        emailVerifiedAt: new Date()
+      },
+      select: profileSelect
+    });
+
+    res.json({ message: 'Email changed', user });
+  } catch (error) {
+    // ...or registers it between the check and the update
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: EMAIL_TAKEN });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/users/export - Download everything stored about the current user as JSON
+router.get('/export', auth, async (req, res) => {
+  try {
+    const data = await exportUserData(prisma, req.user.id);
+
+    res.attachment(`account-${req.user.id}.json`);
+    res.json(data);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/users/account - Delete the current account, keeping anonymized order history
+router.delete('/account',
+  auth,
+  [
+    body('password').notEmpty().withMessage('Current password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await checkPassword(req))) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+
+      const deleted = await deleteAccount(prisma, req.user.id);
+      if (!deleted) {
+        return res.status(400).json({
+          error: 'You have orders in progress; wait for them to complete or cancel them first'
+        });
+      }
+
+      res.json({ message: 'Account deleted' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// POST /api/users/become-seller - Apply to become a seller; an admin reviews the application
+router.post('/become-seller',
+  auth,
+  [
+    body('businessName').isString().trim().notEmpty().withMessage('Business name is required'),
+    body('phone').matches(/^\+?\d{10,15}$/).withMessage('Please provide a valid phone number'),
+    body('address').isString().trim().notEmpty().withMessage('Business address is required'),
+    body('gstin').optional({ nullable: true })
+      .matches(/^[0-9]{2}[A-Z0-9]{13}$/i).withMessage('GSTIN must be 15 characters'),
+    body('description').optional({ nullable: true }).isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.user.role !== 'CUSTOMER') {
+        return res.status(400).json({ error: 'User is already a seller' });
+      }
+
+      const pending = await prisma.sellerApplication.findFirst({
+        where: { userId: req.user.id, status: 'PENDING' }
+      });
+
+      if (pending) {
+        return res.status(400).json({ error: 'An application is already awaiting review' });
+      }
+
+      const { businessName, phone, address, gstin, description } = req.body;
+
+      const application = await prisma.sellerApplication.create({
+        data: {
+          userId: req.user.id,
+          businessName,
+          phone,
+          address,
+          gstin: gstin ? gstin.toUpperCase() : null,
+          description: description || null
+        }
+      });
+
+      res.status(201).json(application);
+    } catch (error) {
+      console.error('Failed to submit seller application', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// GET /api/users/seller-application - Current user's latest seller application
+router.get('/seller-application', auth, async (req, res) => {
+  try {
+    const application = await prisma.sellerApplication.findFirst({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
     });
 
-    res.json({ user: updated });
+    if (!application) {
+      return res.status(404).json({ error: 'No seller application found' });
+    }
+
+    res.json(application);
   } catch (error) {
-    console.error('Failed to become seller', error);
+    console.error(error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const auth = require('../middleware/auth');
+const { describeVariants, syncProductStock } = require('../lib/variants');
+const { requireProductOwner } = require('../middleware/permissions');
+const { removeImage } = require('../lib/images');
+const { recordMovement } = require('../lib/inventory');
+const { notifyProductChanges } = require('../lib/notifications');
+
+// Mounted at /api/products/:id/variants
+const router = express.Router({ mergeParams: true });
+
+// GET /api/products/:id/variants - List variants with availability
+router.get('/', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      include: {
+        variants: {
+          orderBy: [{ size: 'asc' }, { color: 'asc' }]
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(describeVariants(product, product.variants));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/products/:id/variants - Bulk create a size x color matrix (Owner or Admin)
+router.post('/',
+  auth,
+  requireProductOwner,
+  [
+    body('sizes').isArray({ min: 1 }).withMessage('At least one size is required'),
+    body('sizes.*').isString().trim().notEmpty().withMessage('Sizes must be non-empty strings'),
+    body('colors').isArray({ min: 1 }).withMessage('At least one color is required'),
+    body('colors.*').isString().trim().notEmpty().withMessage('Colors must be non-empty strings'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer').toInt(),
+    body('priceAdjustment').optional().isDecimal().withMessage('Price adjustment must be a number'),
+    body('imageUrl').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { product } = req;
+
+      const { sizes, colors, stock = 0, priceAdjustment = 0, imageUrl } = req.body;
+
+      // Skip combinations that already exist so the matrix can be extended
+      const existing = await prisma.productVariant.findMany({
+        where: { productId: product.id },
+        select: { size: true, color: true }
+      });
+      const taken = new Set(existing.map(v => `${v.size}|${v.color}`));
+
+      const data = [];
+      for (const size of new Set(sizes)) {
+        for (const color of new Set(colors)) {
+          if (taken.has(`${size}|${color}`)) continue;
+          data.push({
+            productId: product.id,
+            size,
+            color,
+            stock,
+            priceAdjustment: parseFloat(priceAdjustment),
+            ...(imageUrl && { imageUrl })
+          });
+        }
+      }
+
+      const variants = await prisma.$transaction(async (prisma) => {
+        const created = await prisma.productVariant.createManyAndReturn({ data });
+        for (const variant of created) {
+          if (variant.stock > 0) {
+            await recordMovement(prisma, {
+              productId: product.id,
+              variantId: variant.id,
+              quantity: variant.stock,
+              type: 'ADJUSTMENT',
+              reason: 'Initial stock',
+              actorId: req.user.id
+            });
+          }
+        }
+        await syncProductStock(prisma, product.id);
+
+        return prisma.productVariant.findMany({
+          where: { productId: product.id },
+          orderBy: [{ size: 'asc' }, { color: 'asc' }]
+        });
+      });
+
+      await notifyProductChanges(prisma, product);
+
+      res.status(201).json({
+        created: data.length,
+        skipped: sizes.length * colors.length - data.length,
+        ...describeVariants(product, variants)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/products/:id/variants/:variantId - Update stock, price adjustment or image (Owner or Admin)
+router.put('/:variantId',
+  auth,
+  requireProductOwner,
+  [
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer').toInt(),
+    body('priceAdjustment').optional().isDecimal().withMessage('Price adjustment must be a number'),
+    body('imageUrl').optional({ nullable: true }).isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { product } = req;
+
+      const existing = await prisma.productVariant.findFirst({
+        where: { id: req.params.variantId, productId: product.id }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+
+      const { stock, priceAdjustment, imageUrl } = req.body;
+
+      const variant = await prisma.$transaction(async (prisma) => {
+        const updated = await prisma.productVariant.update({
+          where: { id: existing.id },
+          data: {
+            ...(stock !== undefined && { stock }),
+            ...(priceAdjustment !== undefined && { priceAdjustment: parseFloat(priceAdjustment) }),
+            ...(imageUrl !== undefined && { imageUrl })
+          }
+        });
+
+        if (stock !== undefined) {
+          await syncProductStock(prisma, product.id);
+
+          if (updated.stock !== existing.stock) {
+            await recordMovement(prisma, {
+              productId: product.id,
+              variantId: existing.id,
+              quantity: updated.stock - existing.stock,
+              type: 'ADJUSTMENT',
+              reason: 'Stock updated',
+              actorId: req.user.id
+            });
+          }
+        }
+
+        return updated;
+      });
+
+      await notifyProductChanges(prisma, product);
+
+      res.json(describeVariants(product, [variant]).variants[0]);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/products/:id/variants/:variantId - Delete a variant (Owner or Admin)
+router.delete('/:variantId', auth, requireProductOwner, async (req, res) => {
+  try {
+    const { product } = req;
+
+    const variant = await prisma.productVariant.findFirst({
+      where: { id: req.params.variantId, productId: product.id }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const images = await prisma.productImage.findMany({
+      where: { variantId: variant.id, storageKey: { not: null } },
+      select: { storageKey: true }
+    });
+
+    await prisma.$transaction(async (prisma) => {
+      // Cart lines pointing at this selection can no longer be checked out
+      await prisma.cartItem.deleteMany({
+        where: { productId: product.id, size: variant.size, color: variant.color }
+      });
+      await prisma.productImage.deleteMany({ where: { variantId: variant.id } });
+      // The variant's stock leaves the product's total too, so a product
+      // whose last variant is deleted ends up with no phantom stock
+      if (variant.stock > 0) {
+        await recordMovement(prisma, {
+          productId: product.id,
+          variantId: variant.id,
+          quantity: -variant.stock,
+          type: 'ADJUSTMENT',
+          reason: `Variant ${variant.size} / ${variant.color} deleted`,
+          actorId: req.user.id
+        });
+        await prisma.product.update({
+          where: { id: product.id },
+          data: { stock: { decrement: variant.stock } }
+        });
+      }
+      await prisma.productVariant.delete({ where: { id: variant.id } });
+      await syncProductStock(prisma, product.id);
+    });
+
+    await Promise.all(images.map(image => removeImage(image.storageKey)));
+
+    res.json({ message: 'Variant deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
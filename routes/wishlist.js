@@ -1,12 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('../generated/prisma');
+const prisma = require('../lib/prisma');
 const auth = require('../middleware/auth');
+const { unitPrice } = require('../lib/variants');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
-// GET /api/wishlist - Get user's wishlist
+// GET /api/wishlist - Get user's wishlist, with each item's current price
+// and whether it has dropped since the item was saved
 router.get('/', auth, async (req, res) => {
   try {
     const wishlistItems = await prisma.wishlistItem.findMany({
@@ -27,7 +28,14 @@ router.get('/', auth, async (req, res) => {
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json(wishlistItems);
+    res.json(wishlistItems.map(item => {
+      const price = unitPrice(item.product, null);
+      return {
+        ...item,
+        price: price.toFixed(2),
+        priceDropped: item.addedPrice !== null && price < parseFloat(item.addedPrice)
+      };
+    }));
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -75,7 +83,8 @@ router.post('/',
       const wishlistItem = await prisma.wishlistItem.create({
         data: {
           userId: req.user.id,
-          productId
+          productId,
+          addedPrice: unitPrice(product, null)
         },
         include: {
           product: {
@@ -1,28 +1,56 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { PrismaClient } = require('./generated/prisma');
 
 dotenv.config();
 
+const storage = require('./lib/storage');
+const prisma = require('./lib/prisma');
+const { startHoldSweeper } = require('./lib/inventory');
+const { startGuestCartSweeper } = require('./lib/guestCarts');
+
 const app = express();
-const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-// Increase JSON body size to accept base64 image uploads from sellers
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Images are uploaded as multipart files (see lib/images.js), so JSON bodies stay
+// small. The raw bytes are kept because payment webhook signatures cover them.
+// Catalog imports are larger and are parsed by their route once the sender is
+// known to be allowed to import (see routes/products.js).
+const jsonBody = express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+app.use((req, res, next) => {
+  if (req.path === '/api/products/import') return next();
+  jsonBody(req, res, next);
+});
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Serve uploaded images when they are stored on local disk
+if (storage.staticRoot) {
+  app.use(storage.publicPath, express.static(storage.staticRoot, { maxAge: '7d' }));
+}
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/addresses', require('./routes/addresses'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/wishlist', require('./routes/wishlist'));
+app.use('/api/seller', require('./routes/seller'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin/users', require('./routes/admin/users'));
+app.use('/api/admin/sellers', require('./routes/admin/sellers'));
+app.use('/api/admin/orders', require('./routes/admin/orders'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -40,4 +68,9 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
 
+// Put stock from abandoned checkouts back on sale
+startHoldSweeper(prisma);
+// Clear out guest carts nobody came back to
+startGuestCartSweeper(prisma);
+
 module.exports = app;
\ No newline at end of file